@@ -1,33 +1,116 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { loadConfig } = require('./config.js');
+const ContentCatalog = require('./content-catalog.js');
+const GitHistory = require('./git-history.js');
+const RewriteLedger = require('./rewrite-ledger.js');
+const FrontMatter = require('./front-matter.js');
 
 /**
  * Article Selector for Content Rewriting
- * Selects random articles from en/{product}/{java|net} that haven't been modified in 30+ days
+ * Ranks articles from en/{product}/{platform} that haven't been modified in 30+ days
+ * by how much they would benefit from a rewrite, and selects the top candidates
  */
 
-// Available products
-const PRODUCTS = [
-    'annotation', 'comparison', 
-    'conversion', 'editor', 'merger', 'metadata', 
-    'parser', 'viewer', 'signature', 'total'
-];
-
-// Randomly select a product
-const SELECTED_PRODUCT = PRODUCTS[Math.floor(Math.random() * PRODUCTS.length)];
-
-// Path relative to repository root
-const CONTENT_BASE = path.resolve(__dirname, `../../content/en/${SELECTED_PRODUCT}`);
 const DAYS_THRESHOLD = 30;
 const MIN_ARTICLES_PER_RUN = 2;
 const MAX_ARTICLES_PER_RUN = 5;
 
+const FAILED_COOLDOWN_DAYS = 14;    // skip articles whose last rewrite failed validation this recently
+
+// Scoring: each factor is normalised to 0..1 and weighted into the total
+const SCORE_WEIGHTS = {
+    rotation: 0.25,     // never rewritten, or last rewrite long ago (from the ledger)
+    age: 0.2,           // days since last commit
+    description: 0.15,  // missing or short meta description
+    opening: 0.15,      // thin opening paragraph
+    wordCount: 0.1,     // low overall word count
+    keywords: 0.15      // missing keywords
+};
+const SCORE_JITTER = 0.1;           // max random bonus so equal scores don't always pick the same articles
+const AGE_CAP_DAYS = 365;           // articles older than this get the full age score
+const DESCRIPTION_MIN_LENGTH = 120; // characters
+const OPENING_MIN_WORDS = 40;
+const ARTICLE_MIN_WORDS = 600;
+
+// Overridable via the `selector` section of kb-workflows.config.json
+const DEFAULT_SELECTOR_CONFIG = {
+    humanEditWindowDays: 90,    // skip articles a human committed to within this many days
+    botIdentities: [            // commit author names/emails that count as automation, not humans
+        'assadvirgo@gmail.com',
+        'github-actions[bot]',
+        '41898282+github-actions[bot]@users.noreply.github.com'
+    ]
+};
+
+/**
+ * Create a deterministic random number generator (mulberry32) from a string seed
+ */
+function createSeededRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Parse command line options: --seed, --product, --platform, --count, --preview
+ */
+function parseArgs(argv) {
+    const options = {};
+    const valueOptions = ['seed', 'product', 'platform', 'count'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const name = flag.replace(/^--/, '');
+
+        if (flag === '--preview') {
+            options.preview = true;
+        } else if (flag.startsWith('--') && valueOptions.includes(name)) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            options[name] = value;
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (options.count !== undefined) {
+        const count = Number(options.count);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`--count must be a positive integer, got "${options.count}"`);
+        }
+        options.count = count;
+    }
+
+    return options;
+}
+
 class ArticleSelector {
-    constructor() {
+    /**
+     * Options: seed (string), product, platform, count (fixed number of articles)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.seed = options.seed !== undefined ? String(options.seed) : crypto.randomBytes(4).toString('hex');
+        this.random = createSeededRandom(this.seed);
+        this.rankedCandidates = [];
         this.selectedArticles = [];
+        this.excludedArticles = [];
+        this.config = loadConfig('selector', DEFAULT_SELECTOR_CONFIG);
+        this.ledger = new RewriteLedger();
+        this.gitHistory = GitHistory.shared();
+        this.catalog = new ContentCatalog();
     }
 
     /**
@@ -35,10 +118,8 @@ class ArticleSelector {
      */
     getLastModifiedDate(filePath) {
         try {
-            const gitLog = execSync(`git log -1 --format=%cd --date=short -- "${filePath}"`, { 
-                encoding: 'utf8' 
-            }).trim();
-            return gitLog ? new Date(gitLog) : new Date(0);
+            const commit = this.gitHistory.getLastCommit(filePath);
+            return commit ? new Date(commit.authorDate.split('T')[0]) : new Date(0);
         } catch (error) {
             console.warn(`Warning: Could not get git history for ${filePath}`);
             // Fallback to file system modification time
@@ -59,94 +140,322 @@ class ArticleSelector {
     }
 
     /**
-     * Get all markdown files from a directory
+     * Check whether a commit was made by the automation identity rather than a human
      */
-    getMarkdownFiles(dirPath) {
+    isBotCommit(commit) {
+        const identities = this.config.botIdentities.map(identity => identity.toLowerCase());
+        return identities.includes((commit.email || '').toLowerCase()) ||
+               identities.includes((commit.author || '').toLowerCase());
+    }
+
+    /**
+     * Parse an article's front matter, or null if it has none
+     */
+    readFrontMatter(content) {
         try {
-            return fs.readdirSync(dirPath)
-                .filter(file => file.endsWith('.md') && !file.startsWith('_index'))
-                .map(file => path.join(dirPath, file))
-                .filter(filePath => this.isFileOldEnough(filePath));
+            return FrontMatter.parse(content);
         } catch (error) {
-            console.warn(`Warning: Could not read directory ${dirPath}`);
-            return [];
+            return null;
         }
     }
 
     /**
-     * Randomly select between java (1) and net (0)
+     * Check a boolean front-matter flag such as `norewrite: true`
      */
-    randomPlatformChoice() {
-        return Math.random() < 0.5 ? 'net' : 'java';
+    hasFrontMatterFlag(frontMatter, field) {
+        if (!frontMatter) {
+            return false;
+        }
+        const value = frontMatter.get(field);
+        return value === true || String(value).toLowerCase() === 'true';
     }
 
     /**
-     * Select random articles for rewriting
+     * Get the reason an article must not be rewritten, or null if it is eligible
      */
-    selectArticles() {
-        // First, randomly decide how many articles to process (2-5)
-        const articlesToProcess = Math.floor(Math.random() * (MAX_ARTICLES_PER_RUN - MIN_ARTICLES_PER_RUN + 1)) + MIN_ARTICLES_PER_RUN;
-        
-        console.log(`🎲 Randomly selected to process ${articlesToProcess} articles this run`);
-        
-        const availableArticles = {
-            java: this.getMarkdownFiles(path.join(CONTENT_BASE, 'java')),
-            net: this.getMarkdownFiles(path.join(CONTENT_BASE, 'net'))
+    getExclusionReason(filePath) {
+        const frontMatter = this.readFrontMatter(fs.readFileSync(filePath, 'utf8'));
+
+        if (this.hasFrontMatterFlag(frontMatter, 'norewrite')) {
+            return { reason: 'norewrite', detail: 'front matter sets norewrite: true' };
+        }
+
+        if (this.hasFrontMatterFlag(frontMatter, 'draft')) {
+            return { reason: 'draft', detail: 'front matter sets draft: true' };
+        }
+
+        if (this.ledger.failedWithin(filePath, FAILED_COOLDOWN_DAYS)) {
+            return { reason: 'failed-recently', detail: `rewrite failed within the last ${FAILED_COOLDOWN_DAYS} days` };
+        }
+
+        const commit = this.gitHistory.getLastCommit(filePath);
+        if (commit && !this.isBotCommit(commit)) {
+            const windowStart = new Date();
+            windowStart.setDate(windowStart.getDate() - this.config.humanEditWindowDays);
+
+            if (new Date(commit.authorDate) >= windowStart) {
+                return {
+                    reason: 'human-edit',
+                    detail: `last edited by ${commit.author} on ${commit.authorDate.split('T')[0]} (within ${this.config.humanEditWindowDays} days)`
+                };
+            }
+        }
+
+        if (!this.isFileOldEnough(filePath)) {
+            return { reason: 'recently-modified', detail: `modified within the last ${DAYS_THRESHOLD} days` };
+        }
+
+        return null;
+    }
+
+    /**
+     * Count words in markdown text, ignoring code, shortcodes and link targets
+     */
+    countWords(text) {
+        const plain = text
+            .replace(/```[\s\S]*?```/g, ' ')
+            .replace(/\{\{<[\s\S]*?>\}\}/g, ' ')
+            .replace(/\]\([^)]*\)/g, ']')
+            .replace(/[#*_`>\[\]]/g, ' ');
+
+        return plain.split(/\s+/).filter(word => /\w/.test(word)).length;
+    }
+
+    /**
+     * Read the article properties that feed into its score
+     */
+    readArticleMetrics(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const frontMatter = this.readFrontMatter(content);
+        const data = frontMatter ? frontMatter.data : {};
+        const body = frontMatter ? frontMatter.body : content;
+
+        const description = typeof data.description === 'string' ? data.description.trim() : '';
+
+        // Keywords are normally a list; tolerate a comma-separated string
+        let keywordCount = 0;
+        if (Array.isArray(data.keywords)) {
+            keywordCount = data.keywords.filter(keyword => String(keyword).trim()).length;
+        } else if (typeof data.keywords === 'string') {
+            keywordCount = data.keywords.split(',').filter(keyword => keyword.trim()).length;
+        }
+
+        // Opening paragraph is everything before the first heading or gist
+        const openingEnd = body.search(/^#{2,6}\s|\{\{<\s*gist/m);
+        const opening = openingEnd === -1 ? body : body.substring(0, openingEnd);
+
+        return {
+            description,
+            keywordCount,
+            openingWords: this.countWords(opening),
+            wordCount: this.countWords(body)
         };
+    }
+
+    /**
+     * Score an article by how much it would benefit from a rewrite (higher is better)
+     */
+    scoreArticle(filePath) {
+        const metrics = this.readArticleMetrics(filePath);
+        const ageDays = (Date.now() - this.getLastModifiedDate(filePath).getTime()) / 86400000;
+        const lastRewrite = this.ledger.getLastRewriteDate(filePath);
+        const rewriteAgeDays = lastRewrite ? (Date.now() - new Date(lastRewrite).getTime()) / 86400000 : null;
 
-        console.log(`Found ${availableArticles.java.length} eligible Java articles`);
-        console.log(`Found ${availableArticles.net.length} eligible .NET articles`);
+        const breakdown = {
+            rotation: rewriteAgeDays === null ? 1 : Math.min(rewriteAgeDays / AGE_CAP_DAYS, 1),
+            age: Math.min(ageDays / AGE_CAP_DAYS, 1),
+            description: metrics.description
+                ? Math.max(0, 1 - metrics.description.length / DESCRIPTION_MIN_LENGTH)
+                : 1,
+            opening: Math.max(0, 1 - metrics.openingWords / OPENING_MIN_WORDS),
+            wordCount: Math.max(0, 1 - metrics.wordCount / ARTICLE_MIN_WORDS),
+            keywords: metrics.keywordCount === 0 ? 1 : 0
+        };
 
-        const selected = [];
+        let total = 0;
+        for (const [factor, weight] of Object.entries(SCORE_WEIGHTS)) {
+            breakdown[factor] = Number(breakdown[factor].toFixed(3));
+            total += breakdown[factor] * weight;
+        }
 
-        for (let i = 0; i < articlesToProcess; i++) {
-            const platform = this.randomPlatformChoice();
-            const articles = availableArticles[platform];
-            
-            if (articles.length === 0) {
-                console.log(`No eligible articles found for ${platform}, skipping iteration ${i + 1}`);
-                continue;
+        return {
+            total: Number(total.toFixed(3)),
+            breakdown,
+            metrics: {
+                lastRewrite,
+                ageDays: Math.floor(ageDays),
+                descriptionLength: metrics.description.length,
+                openingWords: metrics.openingWords,
+                wordCount: metrics.wordCount,
+                keywordCount: metrics.keywordCount
             }
+        };
+    }
+
+    /**
+     * Get the product/platform directories to scan, narrowed by the --product and --platform options
+     */
+    getPlatformPaths() {
+        const { product, platform } = this.options;
+        const platformPaths = this.catalog.getPlatformPaths()
+            .filter(entry => (!product || entry.product === product) && (!platform || entry.platform === platform));
 
-            // Remove already selected articles from the pool
-            const unselectedArticles = articles.filter(article => 
-                !selected.some(sel => sel.path === article)
-            );
+        if (platformPaths.length === 0 && (product || platform)) {
+            throw new Error(`No content found for product "${product || '*'}" and platform "${platform || '*'}"`);
+        }
+
+        return platformPaths;
+    }
 
-            if (unselectedArticles.length === 0) {
-                console.log(`All ${platform} articles already selected, skipping iteration ${i + 1}`);
-                continue;
+    /**
+     * Collect and score every eligible article across all discovered products and platforms
+     * Articles that must not be rewritten are recorded in excludedArticles with their reason
+     */
+    getCandidates() {
+        const candidates = [];
+        this.excludedArticles = [];
+
+        for (const { product, platform, path: platformPath } of this.getPlatformPaths()) {
+            for (const filePath of this.catalog.listArticleFiles(platformPath)) {
+                const articlePath = path.relative(platformPath, filePath).split(path.sep).join('/');
+
+                try {
+                    const exclusion = this.getExclusionReason(filePath);
+                    if (exclusion) {
+                        this.excludedArticles.push({
+                            relativePath: this.ledger.getKey(filePath),
+                            product,
+                            platform,
+                            ...exclusion
+                        });
+                        continue;
+                    }
+
+                    candidates.push({
+                        path: filePath,
+                        product,
+                        platform,
+                        articlePath,
+                        score: this.scoreArticle(filePath)
+                    });
+                } catch (error) {
+                    this.excludedArticles.push({
+                        relativePath: this.ledger.getKey(filePath),
+                        product,
+                        platform,
+                        reason: 'unreadable',
+                        detail: error.message
+                    });
+                    console.warn(`Warning: Could not score ${filePath}: ${error.message}`);
+                }
             }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Select the highest-scoring articles for rewriting
+     */
+    selectArticles() {
+        // First, decide how many articles to process (--count, or 2-5 from the seeded generator)
+        let articlesToProcess;
+        if (this.options.count) {
+            articlesToProcess = this.options.count;
+            console.log(`🔢 Processing ${articlesToProcess} articles this run (--count)`);
+        } else {
+            articlesToProcess = Math.floor(this.random() * (MAX_ARTICLES_PER_RUN - MIN_ARTICLES_PER_RUN + 1)) + MIN_ARTICLES_PER_RUN;
+            console.log(`🎲 Randomly selected to process ${articlesToProcess} articles this run`);
+        }
+        
+        const candidates = this.getCandidates();
 
-            const randomIndex = Math.floor(Math.random() * unselectedArticles.length);
-            const selectedPath = unselectedArticles[randomIndex];
-            
-            selected.push({
-                path: selectedPath,
-                platform: platform,
-                filename: path.basename(selectedPath),
-                lastModified: this.getLastModifiedDate(selectedPath).toISOString().split('T')[0]
-            });
+        for (const [platform, count] of Object.entries(ContentCatalog.countByPlatform(candidates))) {
+            console.log(`Found ${count} eligible ${platform} articles`);
+        }
+
+        const exclusionCounts = {};
+        for (const { reason } of this.excludedArticles) {
+            exclusionCounts[reason] = (exclusionCounts[reason] || 0) + 1;
+        }
+        for (const [reason, count] of Object.entries(exclusionCounts)) {
+            console.log(`Excluded ${count} articles: ${reason}`);
+        }
+
+        // Jitter keeps near-equal articles from being picked in the same order every run
+        for (const candidate of candidates) {
+            candidate.score.jitter = Number((this.random() * SCORE_JITTER).toFixed(3));
+            candidate.score.ranking = Number((candidate.score.total + candidate.score.jitter).toFixed(3));
+        }
+
+        // Ties fall back to the path so the order never depends on filesystem listing order
+        candidates.sort((a, b) => b.score.ranking - a.score.ranking || a.path.localeCompare(b.path));
+        this.rankedCandidates = candidates;
+
+        const selected = candidates.slice(0, articlesToProcess).map(candidate => ({
+            path: candidate.path,
+            product: candidate.product,
+            platform: candidate.platform,
+            filename: path.basename(candidate.path),
+            articlePath: candidate.articlePath,
+            relativePath: this.ledger.getKey(candidate.path),
+            lastModified: this.getLastModifiedDate(candidate.path).toISOString().split('T')[0],
+            score: candidate.score
+        }));
 
-            console.log(`Selected: ${platform}/${path.basename(selectedPath)}`);
+        for (const article of selected) {
+            console.log(`Selected: ${article.product}/${article.platform}/${article.articlePath} (score ${article.score.ranking})`);
         }
 
         this.selectedArticles = selected;
         return selected;
     }
 
+    /**
+     * Print the ranked candidate pool without writing any files
+     */
+    printPreview() {
+        const selectedPaths = new Set(this.selectedArticles.map(article => article.path));
+
+        console.log(`\n📋 Ranked candidate pool (${this.rankedCandidates.length} articles, seed ${this.seed}):`);
+        console.log('  #    rank   score  jitter  article');
+
+        this.rankedCandidates.forEach((candidate, index) => {
+            const marker = selectedPaths.has(candidate.path) ? '✅' : '  ';
+            const { ranking, total, jitter, breakdown } = candidate.score;
+            const factors = Object.entries(breakdown).map(([factor, value]) => `${factor}=${value}`).join(' ');
+
+            console.log(`${marker}${String(index + 1).padStart(3)}  ${ranking.toFixed(3)}  ${total.toFixed(3)}  ${jitter.toFixed(3)}   ${this.ledger.getKey(candidate.path)}`);
+            console.log(`                             ${factors}`);
+        });
+
+        if (this.excludedArticles.length > 0) {
+            console.log(`\n🚫 Excluded (${this.excludedArticles.length}):`);
+            for (const excluded of this.excludedArticles) {
+                console.log(`  ${excluded.relativePath} - ${excluded.reason}: ${excluded.detail}`);
+            }
+        }
+    }
+
     /**
      * Export selected articles as JSON for GitHub Actions
      */
     exportSelection() {
         const selection = {
             timestamp: new Date().toISOString(),
+            seed: this.seed,
+            options: {
+                product: this.options.product || null,
+                platform: this.options.platform || null,
+                count: this.options.count || null
+            },
             articles: this.selectedArticles,
             summary: {
                 total: this.selectedArticles.length,
-                java: this.selectedArticles.filter(a => a.platform === 'java').length,
-                net: this.selectedArticles.filter(a => a.platform === 'net').length
-            }
+                platforms: ContentCatalog.countByPlatform(this.selectedArticles),
+                excluded: this.excludedArticles.length
+            },
+            excluded: this.excludedArticles
         };
 
         // Write to file for GitHub Actions to consume (write to repo root)
@@ -161,22 +470,46 @@ class ArticleSelector {
 }
 
 // Main execution
+// Usage: node article-selector.js [--seed <seed>] [--product <product>] [--platform <platform>] [--count <n>] [--preview]
 if (require.main === module) {
-    const selector = new ArticleSelector();
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    const selector = new ArticleSelector(options);
     
     console.log('🔍 Scanning for articles to rewrite...');
     console.log(`📅 Looking for articles older than ${DAYS_THRESHOLD} days`);
-    console.log(`🎯 Will randomly select between ${MIN_ARTICLES_PER_RUN}-${MAX_ARTICLES_PER_RUN} articles`);
+    console.log(`🎯 Will select the top ${options.count || `${MIN_ARTICLES_PER_RUN}-${MAX_ARTICLES_PER_RUN}`} articles by score`);
+    console.log(`🌱 Seed: ${selector.seed} (rerun with --seed ${selector.seed} to reproduce)`);
     
-    const selected = selector.selectArticles();
+    let selected;
+    try {
+        selected = selector.selectArticles();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    if (options.preview) {
+        selector.printPreview();
+        console.log('\n👀 Preview only - selected-articles.json was not written');
+        process.exit(0);
+    }
+    
+    // Written even when nothing was selected, so the excluded list explains why
+    selector.exportSelection();
     
     if (selected.length === 0) {
-        console.log('❌ No articles found matching criteria');
+        console.log(`❌ No articles found matching criteria (${selector.excludedArticles.length} excluded, see selected-articles.json)`);
         process.exit(1);
     }
     
     console.log(`✅ Selected ${selected.length} articles for rewriting`);
-    selector.exportSelection();
 }
 
 module.exports = ArticleSelector;
\ No newline at end of file
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+const TextMetrics = require('./text-metrics.js');
+const Identifiers = require('./identifiers.js');
+
+/**
+ * Candidate Scorer
+ *
+ * Scores alternative LLM rewrites of one paragraph locally and picks the best.
+ * Every factor is normalised to 0..1 and weighted into the total.
+ */
+
+const DEFAULT_CANDIDATE_WEIGHTS = {
+    readability: 0.2,       // Flesch reading ease of the candidate
+    keywords: 0.15,         // article keywords present in the candidate
+    lengthRatio: 0.15,      // candidate length close to the original
+    protectedTerms: 0.3,    // code, links, shortcodes and identifiers of the original kept
+    similarity: 0.2         // word-frequency similarity to the original
+};
+const READABILITY_TARGET = 60;  // Flesch score that earns the full readability factor
+const LENGTH_RATIO_LIMIT = 2;   // twice (or half) the original length scores 0
+
+class CandidateScorer {
+    /**
+     * Options: keywords (article keywords), weights (overrides of DEFAULT_CANDIDATE_WEIGHTS)
+     */
+    constructor({ keywords = [], weights = {} } = {}) {
+        this.keywords = keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean);
+        this.weights = { ...DEFAULT_CANDIDATE_WEIGHTS, ...weights };
+    }
+
+    /**
+     * Extract the terms a rewrite must keep verbatim: link targets, shortcodes,
+     * URLs and technical identifiers (see identifiers.js)
+     */
+    static extractProtectedTerms(text) {
+        const patterns = [
+            /\]\(([^)\s]+)\)/g,
+            /\{\{[<%][\s\S]*?[>%]\}\}/g,
+            /https?:\/\/[^\s)]+/g
+        ];
+
+        const terms = new Set(Identifiers.extract(text).map(identifier => identifier.value));
+        for (const pattern of patterns) {
+            for (const match of text.matchAll(pattern)) {
+                terms.add(match[1] || match[0]);
+            }
+        }
+        return [...terms];
+    }
+
+    /**
+     * Score one candidate against the original text
+     * Returns { total, breakdown } with every breakdown factor in 0..1
+     */
+    score(original, candidate) {
+        const readingEase = TextMetrics.fleschReadingEase(candidate);
+        const lowerCandidate = candidate.toLowerCase();
+
+        // Only keywords the original mentions can be expected in the rewrite
+        const expectedKeywords = this.keywords.filter(keyword => original.toLowerCase().includes(keyword));
+        const protectedTerms = CandidateScorer.extractProtectedTerms(original);
+        const ratio = candidate.trim().length / Math.max(1, original.trim().length);
+
+        const breakdown = {
+            readability: readingEase === null ? 0 : Math.min(1, Math.max(0, readingEase) / READABILITY_TARGET),
+            keywords: expectedKeywords.length === 0
+                ? 1
+                : expectedKeywords.filter(keyword => lowerCandidate.includes(keyword)).length / expectedKeywords.length,
+            lengthRatio: ratio === 0 ? 0 : Math.max(0, 1 - Math.abs(Math.log(ratio)) / Math.log(LENGTH_RATIO_LIMIT)),
+            protectedTerms: protectedTerms.length === 0
+                ? 1
+                : protectedTerms.filter(term => candidate.includes(term)).length / protectedTerms.length,
+            similarity: TextMetrics.similarity(original, candidate)
+        };
+
+        let total = 0;
+        for (const [factor, weight] of Object.entries(this.weights)) {
+            total += (breakdown[factor] || 0) * weight;
+        }
+
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            total: round(total),
+            breakdown: Object.fromEntries(Object.entries(breakdown).map(([factor, value]) => [factor, round(value)]))
+        };
+    }
+
+    /**
+     * Score every candidate and pick the best (the earliest wins a tie)
+     * Returns { best, bestIndex, candidates: [{ text, score, breakdown }] }
+     */
+    pickBest(original, candidates) {
+        const scored = candidates.map(text => {
+            const { total, breakdown } = this.score(original, text);
+            return { text, score: total, breakdown };
+        });
+
+        let bestIndex = 0;
+        scored.forEach((candidate, index) => {
+            if (candidate.score > scored[bestIndex].score) bestIndex = index;
+        });
+
+        return { best: scored[bestIndex].text, bestIndex, candidates: scored };
+    }
+}
+
+CandidateScorer.DEFAULT_CANDIDATE_WEIGHTS = DEFAULT_CANDIDATE_WEIGHTS;
+
+module.exports = CandidateScorer;
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Shared Configuration
+ *
+ * Loads optional settings from kb-workflows.config.json (or the file named by
+ * KB_WORKFLOWS_CONFIG) and merges one section over a script's defaults
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, 'kb-workflows.config.json');
+
+let cachedConfig = null;
+
+/**
+ * Read the whole config file once (a missing file is an empty config)
+ */
+function readConfigFile() {
+    if (cachedConfig) {
+        return cachedConfig;
+    }
+
+    const configPath = process.env.KB_WORKFLOWS_CONFIG || DEFAULT_CONFIG_PATH;
+
+    if (!fs.existsSync(configPath)) {
+        cachedConfig = {};
+        return cachedConfig;
+    }
+
+    try {
+        cachedConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+
+    return cachedConfig;
+}
+
+/**
+ * Recursively merge plain objects; arrays and scalars from overrides replace defaults
+ * A null override keeps an object default, like a missing one (a null scalar still
+ * replaces its default, e.g. to turn a limit off)
+ */
+function mergeConfig(defaults, overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return overrides === undefined || (overrides === null && isPlainObject(defaults)) ? defaults : overrides;
+    }
+
+    const merged = { ...defaults };
+    for (const [key, value] of Object.entries(overrides)) {
+        const base = defaults ? defaults[key] : undefined;
+        merged[key] = isPlainObject(base) ? mergeConfig(base, value) : value;
+    }
+
+    return merged;
+}
+
+/**
+ * Check for a config section (an object that is not an array)
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Load one config section merged over the given defaults
+ */
+function loadConfig(section, defaults = {}) {
+    return mergeConfig(defaults, readConfigFile()[section]);
+}
+
+module.exports = { loadConfig, mergeConfig };
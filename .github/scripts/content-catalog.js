@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Content Catalog
+ *
+ * Discovers products (content/en/{product}) and platforms
+ * (content/en/{product}/{platform}) from the content tree, narrowed by the
+ * optional `catalog` include/exclude lists in kb-workflows.config.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config.js');
+
+const DEFAULT_CATALOG_CONFIG = {
+    products: { include: [], exclude: [] },
+    platforms: { include: [], exclude: [] }
+};
+
+class ContentCatalog {
+    constructor(contentPath = path.resolve(__dirname, '../../content/en'), config = loadConfig('catalog', DEFAULT_CATALOG_CONFIG)) {
+        this.contentPath = contentPath;
+        this.config = config;
+    }
+
+    /**
+     * List visible subdirectories of a directory in sorted order
+     */
+    listDirectories(dirPath) {
+        try {
+            return fs.readdirSync(dirPath, { withFileTypes: true })
+                .filter(item => item.isDirectory() && !item.name.startsWith('.') && !item.name.startsWith('_'))
+                .map(item => item.name)
+                .sort();
+        } catch (error) {
+            console.warn(`Warning: Could not read directory ${dirPath}`);
+            return [];
+        }
+    }
+
+    /**
+     * Apply an include/exclude filter (an empty include list means everything)
+     */
+    applyFilter(names, filter) {
+        const include = filter.include || [];
+        const exclude = filter.exclude || [];
+
+        return names.filter(name =>
+            (include.length === 0 || include.includes(name)) && !exclude.includes(name)
+        );
+    }
+
+    /**
+     * Get all products
+     */
+    getProducts() {
+        return this.applyFilter(this.listDirectories(this.contentPath), this.config.products);
+    }
+
+    /**
+     * Get all platforms of a product
+     */
+    getPlatforms(product) {
+        return this.applyFilter(this.listDirectories(path.join(this.contentPath, product)), this.config.platforms);
+    }
+
+    /**
+     * Get every product/platform pair with its directory
+     */
+    getPlatformPaths() {
+        const platformPaths = [];
+
+        for (const product of this.getProducts()) {
+            for (const platform of this.getPlatforms(product)) {
+                platformPaths.push({
+                    product,
+                    platform,
+                    path: path.join(this.contentPath, product, platform)
+                });
+            }
+        }
+
+        return platformPaths;
+    }
+
+    /**
+     * Recursively list article files under a directory
+     * A directory with index.md is a Hugo leaf bundle: index.md is the article and
+     * any other markdown inside it is a page resource, so the walk stops there.
+     * _index.md files (section/branch bundle pages) are never articles.
+     */
+    listArticleFiles(dirPath) {
+        let items;
+        try {
+            items = fs.readdirSync(dirPath, { withFileTypes: true });
+        } catch (error) {
+            console.warn(`Warning: Could not read directory ${dirPath}`);
+            return [];
+        }
+
+        if (items.some(item => item.isFile() && item.name === 'index.md')) {
+            return [path.join(dirPath, 'index.md')];
+        }
+
+        const files = [];
+        for (const item of items.sort((a, b) => a.name.localeCompare(b.name))) {
+            const fullPath = path.join(dirPath, item.name);
+
+            if (item.isDirectory() && !item.name.startsWith('.')) {
+                files.push(...this.listArticleFiles(fullPath));
+            } else if (item.isFile() && item.name.endsWith('.md') && !item.name.startsWith('_index')) {
+                files.push(fullPath);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Count items per platform, e.g. { java: 2, net: 1, python: 1 }
+     */
+    static countByPlatform(items) {
+        const counts = {};
+        for (const item of items) {
+            counts[item.platform] = (counts[item.platform] || 0) + 1;
+        }
+        return counts;
+    }
+}
+
+module.exports = ContentCatalog;
@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const ContentValidator = require('./content-validator.js');
+const GitHistory = require('./git-history.js');
+
+/**
+ * Content Lint
+ *
+ * Runs the ContentValidator `lint` rules (front matter, markdown structure,
+ * shortcodes and custom lint rules) over every article in every language under
+ * content/ and reports the results as SARIF and JUnit XML. Issues recorded in the
+ * baseline file are reported but do not fail the run.
+ */
+
+const BASELINE_VERSION = 1;
+const DEFAULT_BASELINE_PATH = path.resolve(__dirname, 'content-lint-baseline.json');
+const DEFAULT_SARIF_PATH = 'content-lint.sarif';
+const DEFAULT_JUNIT_PATH = 'content-lint.junit.xml';
+
+/**
+ * Parse command line options: --sarif, --junit, --baseline, --changed-since, --update-baseline and article paths
+ */
+function parseArgs(argv) {
+    const options = { paths: [] };
+    const valueOptions = ['sarif', 'junit', 'baseline', 'changed-since'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const name = flag.replace(/^--/, '');
+
+        if (flag === '--update-baseline') {
+            options.updateBaseline = true;
+        } else if (flag.startsWith('--') && valueOptions.includes(name)) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            options[name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = value;
+        } else if (flag.startsWith('--')) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        } else {
+            options.paths.push(argv[i]);
+        }
+    }
+
+    if (options.updateBaseline && options.changedSince) {
+        throw new Error('--update-baseline needs a full run; it can\'t be combined with --changed-since');
+    }
+
+    return options;
+}
+
+/**
+ * Escape text for XML output
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class ContentLint {
+    constructor(baselinePath = process.env.CONTENT_LINT_BASELINE || DEFAULT_BASELINE_PATH) {
+        this.repoRoot = path.resolve(__dirname, '../..');
+        this.contentRoot = path.join(this.repoRoot, 'content');
+        this.baselinePath = baselinePath;
+        this.validator = new ContentValidator();
+    }
+
+    /**
+     * Find the markdown articles under the given files or directories (relative to the working
+     * directory; default: all of content/)
+     * `_index.md` section pages are not articles and are skipped
+     */
+    findArticles(paths = []) {
+        const roots = paths.length > 0 ? paths.map(entry => path.resolve(entry)) : [this.contentRoot];
+        const articles = [];
+
+        const walk = current => {
+            const stats = fs.statSync(current);
+            if (stats.isDirectory()) {
+                for (const entry of fs.readdirSync(current).sort()) {
+                    walk(path.join(current, entry));
+                }
+            } else if (current.endsWith('.md') && path.basename(current) !== '_index.md') {
+                articles.push(current);
+            }
+        };
+
+        roots.filter(root => fs.existsSync(root)).forEach(walk);
+        return articles;
+    }
+
+    /**
+     * Articles under content/ changed since a git ref, so a PR is only held to the files it touches
+     */
+    getChangedArticles(ref) {
+        return GitHistory.shared(this.repoRoot).getChangedFiles(ref)
+            .filter(file => file.startsWith('content/') && file.endsWith('.md'))
+            .map(file => path.join(this.repoRoot, file));
+    }
+
+    /**
+     * Repository-relative path with forward slashes
+     */
+    getRelativePath(filePath) {
+        return path.relative(this.repoRoot, filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Lint one file: [{ file, rule, level, message, line }]
+     * Severities follow the rule registry for the file's language and product
+     * The shortcode and link rules name the line in their messages; everything else is reported on line 1
+     */
+    lintFile(filePath) {
+        const file = this.getRelativePath(filePath);
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        return this.validator.lintContent(content, { language: ContentValidator.getLanguage(file), filePath }).map(issue => {
+            const lineMatch = issue.message.match(/ \(line (\d+)\)$/);
+            return {
+                file,
+                rule: issue.rule,
+                level: issue.severity,
+                message: lineMatch ? issue.message.slice(0, lineMatch.index) : issue.message,
+                line: lineMatch ? Number(lineMatch[1]) : 1
+            };
+        });
+    }
+
+    /**
+     * Load the baseline entries ([{ file, rule, message }]); a missing file is an empty baseline
+     */
+    loadBaseline() {
+        if (!fs.existsSync(this.baselinePath)) {
+            return [];
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.baselinePath, 'utf8'));
+        if (data.version !== BASELINE_VERSION) {
+            throw new Error(`Unsupported content lint baseline version ${data.version} in ${this.baselinePath} (expected ${BASELINE_VERSION})`);
+        }
+
+        return data.issues || [];
+    }
+
+    /**
+     * Write the given issues as the new baseline (line numbers are left out so edits elsewhere don't invalidate it)
+     */
+    saveBaseline(issues) {
+        const entries = issues
+            .map(({ file, rule, message }) => ({ file, rule, message }))
+            .sort((a, b) => a.file.localeCompare(b.file) || a.rule.localeCompare(b.rule) || a.message.localeCompare(b.message));
+
+        fs.writeFileSync(this.baselinePath, JSON.stringify({
+            version: BASELINE_VERSION,
+            updated: new Date().toISOString(),
+            issues: entries
+        }, null, 2) + '\n');
+    }
+
+    /**
+     * Mark issues found in the baseline as `baselined`; each baseline entry matches one issue
+     */
+    applyBaseline(issues, baseline = this.loadBaseline()) {
+        const remaining = new Map();
+        const keyOf = issue => `${issue.file}\u0000${issue.rule}\u0000${issue.message}`;
+
+        for (const entry of baseline) {
+            remaining.set(keyOf(entry), (remaining.get(keyOf(entry)) || 0) + 1);
+        }
+
+        return issues.map(issue => {
+            const key = keyOf(issue);
+            const baselined = remaining.get(key) > 0;
+            if (baselined) {
+                remaining.set(key, remaining.get(key) - 1);
+            }
+            return { ...issue, baselined };
+        });
+    }
+
+    /**
+     * Lint articles and return { files, issues }
+     */
+    run(paths = []) {
+        const files = this.findArticles(paths);
+        const issues = [];
+
+        for (const filePath of files) {
+            issues.push(...this.lintFile(filePath));
+        }
+
+        return { files: files.map(filePath => this.getRelativePath(filePath)), issues: this.applyBaseline(issues) };
+    }
+
+    /**
+     * Build a SARIF 2.1.0 log; baselined issues carry an external suppression
+     */
+    toSarif(issues) {
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'content-lint',
+                        informationUri: 'https://github.com/aspose-knowledge-base/kb-aspose-workflows',
+                        rules: this.validator.registry.list('lint').map(rule => ({
+                            id: rule.id,
+                            shortDescription: { text: rule.description },
+                            defaultConfiguration: { level: rule.severity === 'off' ? 'none' : rule.severity }
+                        }))
+                    }
+                },
+                results: issues.map(issue => ({
+                    ruleId: issue.rule,
+                    level: issue.level,
+                    message: { text: issue.message },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: issue.file },
+                            region: { startLine: issue.line }
+                        }
+                    }],
+                    baselineState: issue.baselined ? 'unchanged' : 'new',
+                    ...(issue.baselined ? { suppressions: [{ kind: 'external', justification: 'Listed in the content lint baseline' }] } : {})
+                }))
+            }]
+        };
+    }
+
+    /**
+     * Build a JUnit XML report: one test case per file, failing on new errors
+     * Warnings and baselined issues are listed in the test case output
+     */
+    toJUnit(files, issues) {
+        const byFile = new Map(files.map(file => [file, []]));
+        for (const issue of issues) {
+            byFile.get(issue.file).push(issue);
+        }
+
+        const failing = issue => issue.level === 'error' && !issue.baselined;
+        const testCases = [...byFile].map(([file, fileIssues]) => {
+            const failures = fileIssues.filter(failing);
+            const notes = fileIssues.filter(issue => !failing(issue));
+            const describe = issue => `${issue.file}:${issue.line} [${issue.rule}] ${issue.message}`;
+            const body = [
+                failures.length > 0
+                    ? `      <failure message="${escapeXml(`${failures.length} content lint errors`)}">${escapeXml(failures.map(describe).join('\n'))}</failure>`
+                    : null,
+                notes.length > 0
+                    ? `      <system-out>${escapeXml(notes.map(issue => `${issue.baselined ? 'baselined ' : ''}${issue.level}: ${describe(issue)}`).join('\n'))}</system-out>`
+                    : null
+            ].filter(Boolean);
+
+            const name = escapeXml(file);
+            const className = escapeXml(file.split('/')[1] || 'content');
+            return body.length > 0
+                ? `    <testcase classname="${className}" name="${name}">\n${body.join('\n')}\n    </testcase>`
+                : `    <testcase classname="${className}" name="${name}"/>`;
+        });
+
+        const failureCount = [...byFile.values()].filter(fileIssues => fileIssues.some(failing)).length;
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="content-lint" tests="${files.length}" failures="${failureCount}">`,
+            `  <testsuite name="content-lint" tests="${files.length}" failures="${failureCount}">`,
+            ...testCases,
+            '  </testsuite>',
+            '</testsuites>',
+            ''
+        ].join('\n');
+    }
+}
+
+// Main execution
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('Usage: node content-lint.js [paths...] [--changed-since <ref>] [--sarif <file>] [--junit <file>] [--baseline <file>] [--update-baseline]');
+        process.exit(1);
+    }
+
+    try {
+        const lint = new ContentLint(options.baseline);
+        const paths = options.changedSince ? lint.getChangedArticles(options.changedSince) : options.paths;
+        if (options.changedSince) {
+            console.log(`🔍 ${paths.length} articles changed since ${options.changedSince}`);
+        }
+
+        // No paths lints all of content/, which is not what an empty change set means
+        const { files, issues } = options.changedSince && paths.length === 0 ? { files: [], issues: [] } : lint.run(paths);
+
+        if (options.updateBaseline) {
+            lint.saveBaseline(issues.filter(issue => issue.level === 'error'));
+            console.log(`📒 Baseline updated with ${issues.filter(issue => issue.level === 'error').length} errors: ${path.relative(process.cwd(), lint.baselinePath)}`);
+            process.exit(0);
+        }
+
+        const sarifPath = options.sarif || DEFAULT_SARIF_PATH;
+        const junitPath = options.junit || DEFAULT_JUNIT_PATH;
+        fs.writeFileSync(sarifPath, JSON.stringify(lint.toSarif(issues), null, 2));
+        fs.writeFileSync(junitPath, lint.toJUnit(files, issues));
+
+        const newErrors = issues.filter(issue => issue.level === 'error' && !issue.baselined);
+        const warnings = issues.filter(issue => issue.level === 'warning');
+        const baselined = issues.filter(issue => issue.baselined);
+
+        for (const issue of newErrors) {
+            console.log(`  ❌ ${issue.file}:${issue.line} [${issue.rule}] ${issue.message}`);
+        }
+
+        console.log(`\n📊 Content Lint Summary:`);
+        console.log(`  📄 Files: ${files.length}`);
+        console.log(`  ❌ New errors: ${newErrors.length}`);
+        console.log(`  ⚠️  Warnings: ${warnings.length}`);
+        console.log(`  📒 Baselined: ${baselined.length}`);
+        console.log(`  📄 SARIF: ${sarifPath}`);
+        console.log(`  📄 JUnit: ${junitPath}`);
+
+        process.exit(newErrors.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('💥 Fatal error:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = ContentLint;
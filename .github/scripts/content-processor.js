@@ -2,156 +2,338 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadConfig } = require('./config.js');
+const LLMClient = require('./llm-client.js');
 const LLMRewriter = require('./llm-rewriter.js');
 const ContentValidator = require('./content-validator.js');
+const RewriteLedger = require('./rewrite-ledger.js');
+const FrontMatter = require('./front-matter.js');
+const MarkdownBlocks = require('./markdown-blocks.js');
+const EditEngine = require('./edit-engine.js');
+const TextDiff = require('./text-diff.js');
+const CandidateScorer = require('./candidate-scorer.js');
 
 /**
  * Content Rewriting Logic
  * Processes selected articles and rewrites opening/closing paragraphs
+ * (and, in section mode, the explanatory text of every section)
  */
 
+const DRY_RUN_PATCH_PATH = 'rewrite-dry-run.patch';
+const DRY_RUN_HTML_PATH = 'rewrite-dry-run.html';
+const SEO_DESCRIPTION_ATTEMPTS = 3;
+
+// Overridable via the `rewriter` section of kb-workflows.config.json
+const DEFAULT_REWRITER_CONFIG = {
+    candidates: 1,          // LLM candidates per paragraph; the best-scoring one is kept
+    candidateWeights: {}    // overrides of CandidateScorer.DEFAULT_CANDIDATE_WEIGHTS
+};
+
+/**
+ * Read the value of a `--name value` or `--name=value` command line option
+ */
+function readOptionValue(argv, name) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === `--${name}`) {
+            return argv[i + 1];
+        }
+        if (argv[i].startsWith(`--${name}=`)) {
+            return argv[i].slice(name.length + 3);
+        }
+    }
+    return undefined;
+}
+
 class ContentProcessor {
-    constructor(apiKey) {
-        this.llmRewriter = new LLMRewriter(apiKey);
+    constructor(options = {}) {
+        this.llmRewriter = new LLMRewriter(options.client);
         this.validator = new ContentValidator();
         this.processedFiles = [];
+        this.dryRun = Boolean(options.dryRun);
+        this.seo = Boolean(options.seo);
+        this.sections = Boolean(options.sections);
+        this.config = loadConfig('rewriter', DEFAULT_REWRITER_CONFIG);
+        this.candidateCount = options.candidates || this.config.candidates;
+        this.dryRunChanges = [];
+        this.repoRoot = path.resolve(__dirname, '../..');
     }
 
     /**
-     * Parse front matter from markdown file
+     * Update lastmod field in front matter (added after date when missing)
      */
-    parseFrontMatter(content) {
-        // Handle both Unix (\n) and Windows (\r\n) line endings
-        const frontMatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
-        if (!frontMatterMatch) {
-            throw new Error('No front matter found in file');
+    updateLastMod(frontMatter) {
+        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+        return frontMatter.set('lastmod', today, { after: 'date' });
+    }
+
+    /**
+     * Extract opening paragraph: the paragraphs at the top of the body, before any
+     * heading, code, list or shortcode. Returns { text, start, end } or null
+     */
+    extractOpeningParagraph(blocks, content) {
+        const introBlocks = MarkdownBlocks.getIntroBlocks(blocks);
+        if (introBlocks.length === 0) {
+            return null;
         }
 
-        return {
-            frontMatter: frontMatterMatch[1],
-            content: frontMatterMatch[2]
-        };
+        const start = introBlocks[0].start;
+        const end = introBlocks[introBlocks.length - 1].end;
+        return { text: content.substring(start, end), start, end };
     }
 
     /**
-     * Update lastmod field in front matter
+     * Extract closing paragraphs: top-level paragraphs after the last gist or code block
+     * Returns an array of { text, start, end }
      */
-    updateLastMod(frontMatter) {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-        
-        // Replace existing lastmod or add it after date
-        if (frontMatter.includes('lastmod:')) {
-            return frontMatter.replace(/lastmod:\s*\d{4}-\d{2}-\d{2}/, `lastmod: ${today}`);
-        } else {
-            // Add lastmod after date field
-            return frontMatter.replace(
-                /(date:\s*\d{4}-\d{2}-\d{2})/,
-                `$1\nlastmod: ${today}`
-            );
-        }
+    extractClosingParagraphs(blocks) {
+        return MarkdownBlocks.getConclusionBlocks(blocks).map(block => ({
+            text: block.text,
+            start: block.start,
+            end: block.end
+        }));
     }
 
     /**
-     * Extract opening paragraph (before first heading or gist)
+     * Run a rewrite once, or (with more than one candidate) several times and keep the
+     * best-scoring result; every candidate and its score is added to candidateLog
      */
-    extractOpeningParagraph(content) {
-        // Find the first occurrence of ## heading or {{< gist
-        const firstHeadingMatch = content.match(/^## /m);
-        const firstGistMatch = content.match(/\{\{<\s*gist/);
-        
-        let endPosition = content.length;
+    async generateRewrite(label, originalText, generate, scorer, candidateLog) {
+        if (this.candidateCount <= 1) {
+            return generate();
+        }
         
-        if (firstHeadingMatch && firstGistMatch) {
-            endPosition = Math.min(firstHeadingMatch.index, firstGistMatch.index);
-        } else if (firstHeadingMatch) {
-            endPosition = firstHeadingMatch.index;
-        } else if (firstGistMatch) {
-            endPosition = firstGistMatch.index;
+        const texts = [];
+        try {
+            for (let i = 0; i < this.candidateCount; i++) {
+                if (i > 0) {
+                    await this.llmRewriter.delay();
+                }
+                this.llmRewriter.variant = i;
+                texts.push((await generate()).trim());
+            }
+        } finally {
+            this.llmRewriter.variant = 0;
         }
         
-        return content.substring(0, endPosition).trim();
+        const choice = scorer.pickBest(originalText, texts);
+        console.log(`  🏆 Kept candidate ${choice.bestIndex + 1}/${texts.length} for ${label} (score ${choice.candidates[choice.bestIndex].score})`);
+        candidateLog.push({ label, chosen: choice.bestIndex, candidates: choice.candidates });
+        
+        return choice.best;
     }
 
     /**
-     * Extract closing paragraphs (after last gist) - returns array of individual paragraphs
+     * Extract section text (section mode): the explanatory paragraphs between the intro
+     * and the conclusion, with their heading and neighbouring code as context
+     * Returns an array of { text, start, end, context }
      */
-    extractClosingParagraphs(content) {
-        // Find all gist occurrences - fixed regex to match full gist shortcode including closing }}
-        const gistMatches = [...content.matchAll(/\{\{<\s*gist[\s\S]*?\>\}\}/g)];
+    extractSectionParagraphs(blocks, content) {
+        return MarkdownBlocks.getSectionBlocks(blocks).map(section => ({
+            text: content.substring(section.start, section.end),
+            start: section.start,
+            end: section.end,
+            context: {
+                heading: section.heading,
+                codeBefore: section.codeBefore,
+                codeAfter: section.codeAfter
+            }
+        }));
+    }
+
+    /**
+     * SEO mode: rewrite the description within the length limits and suggest a title
+     * The description is retried with the validator's feedback and left unchanged if no
+     * attempt passes; the title is only suggested (recorded in the report), never applied
+     */
+    async rewriteSeoFields(frontMatter, title, platform) {
+        const terms = this.validator.getSeoTerms(frontMatter);
+        const originalDescription = frontMatter.get('description');
+        const seo = { description: null, titleSuggestion: null, errors: [] };
         
-        if (gistMatches.length === 0) {
-            return []; // No gist found, no closing paragraphs to rewrite
+        if (originalDescription) {
+            let feedback = [];
+            
+            for (let attempt = 1; attempt <= SEO_DESCRIPTION_ATTEMPTS; attempt++) {
+                console.log(`  🔎 Rewriting description (attempt ${attempt}/${SEO_DESCRIPTION_ATTEMPTS})...`);
+                const description = await this.llmRewriter.rewriteDescription(String(originalDescription), {
+                    title,
+                    platform,
+                    ...terms,
+                    minLength: ContentValidator.SEO_DESCRIPTION_MIN_LENGTH,
+                    maxLength: ContentValidator.SEO_DESCRIPTION_MAX_LENGTH,
+                    feedback
+                });
+                
+                feedback = this.validator.validateSeoDescription(description, terms);
+                if (feedback.length === 0) {
+                    frontMatter.set('description', description);
+                    seo.description = { original: String(originalDescription), rewritten: description, length: description.length };
+                    break;
+                }
+                
+                console.log(`  ⚠️  Description rejected: ${feedback.join(', ')}`);
+                if (attempt < SEO_DESCRIPTION_ATTEMPTS) {
+                    await this.llmRewriter.delay();
+                }
+            }
+            
+            await this.llmRewriter.delay();
+            
+            if (!seo.description) {
+                seo.errors.push(...feedback.map(error => `Description kept: ${error}`));
+            }
         }
         
-        const lastGist = gistMatches[gistMatches.length - 1];
-        const afterLastGist = content.substring(lastGist.index + lastGist[0].length);
+        console.log(`  🔎 Suggesting title...`);
+        const suggestion = await this.llmRewriter.suggestTitle(title, { platform, ...terms });
+        const titleErrors = this.validator.validateSeoTitle(suggestion, terms);
         
-        // Split into individual paragraphs (separated by double newlines or more)
-        const paragraphs = afterLastGist
-            .split(/\n\s*\n/)
-            .map(p => p.trim())
-            .filter(p => p.length > 0 && !p.match(/^#+\s/)); // Filter out empty paragraphs and headings
+        if (titleErrors.length === 0 && suggestion !== title) {
+            seo.titleSuggestion = suggestion;
+        } else {
+            seo.errors.push(...titleErrors.map(error => `Title suggestion dropped: ${error}`));
+        }
         
-        return paragraphs;
+        return seo;
     }
 
     /**
-     * Process a single article file
+     * Process a single article file (absolute or repository-relative path)
      */
     async processArticle(filePath) {
-        console.log(`📝 Processing: ${path.basename(filePath)}`);
-        
         // Ensure we have the correct absolute path
-        const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(__dirname, '../..', filePath);
+        const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(this.repoRoot, filePath);
+        const relativePath = path.relative(this.repoRoot, absolutePath).split(path.sep).join('/');
+        
+        console.log(`📝 Processing: ${relativePath}`);
+        
+        // Once the LLM budget is spent, the remaining articles are left for the next run
+        const usage = this.llmRewriter.client.usage;
+        if (usage.isExhausted()) {
+            console.log(`  ⏸️  LLM budget exhausted, leaving for the next run`);
+            return this.addPendingResult(absolutePath, relativePath);
+        }
+        usage.setScope({ article: relativePath, language: ContentValidator.getLanguage(absolutePath) });
         
         try {
             // Read file content
             const originalContent = fs.readFileSync(absolutePath, 'utf8');
-            const { frontMatter, content } = this.parseFrontMatter(originalContent);
+            const frontMatter = FrontMatter.parse(originalContent);
+            const content = frontMatter.body;
             
             // Extract title and platform from frontmatter
-            const titleMatch = frontMatter.match(/title:\s*"([^"]+)"/);
-            const platformMatch = frontMatter.match(/platformkey:\s*"([^"]+)"/);
+            const title = frontMatter.get('title');
+            const platform = frontMatter.get('platformkey');
             
-            if (!titleMatch || !platformMatch) {
+            if (!title || !platform) {
                 throw new Error('Could not extract title or platform from front matter');
             }
             
-            const title = titleMatch[1];
-            const platform = platformMatch[1];
-            
             console.log(`  📋 Title: ${title}`);
             console.log(`  🔧 Platform: ${platform}`);
             
-            // Extract paragraphs to rewrite
-            const openingParagraph = this.extractOpeningParagraph(content);
-            const closingParagraphs = this.extractClosingParagraphs(content);
+            // Extract paragraphs to rewrite from the parsed block tree
+            const blocks = MarkdownBlocks.parse(content);
+            const openingParagraph = this.extractOpeningParagraph(blocks, content);
+            const closingParagraphs = this.extractClosingParagraphs(blocks);
+            const sectionParagraphs = this.sections ? this.extractSectionParagraphs(blocks, content) : [];
             
-            console.log(`  📝 Opening paragraph length: ${openingParagraph.length} chars`);
+            console.log(`  📝 Opening paragraph length: ${openingParagraph ? openingParagraph.text.length : 0} chars`);
             console.log(`  📝 Found ${closingParagraphs.length} closing paragraphs to rewrite`);
+            if (this.sections) {
+                console.log(`  📝 Found ${sectionParagraphs.length} section blocks to rewrite`);
+            }
+            
+            // In SEO mode an article with a description still has something to rewrite
+            const hasSeoWork = this.seo && Boolean(frontMatter.get('description'));
             
-            if (!openingParagraph && closingParagraphs.length === 0) {
+            if (!openingParagraph && closingParagraphs.length === 0 && sectionParagraphs.length === 0 && !hasSeoWork) {
                 console.log(`  ⚠️  No content found to rewrite, skipping`);
-                return null;
+                
+                const result = {
+                    filePath: absolutePath,
+                    relativePath,
+                    fileName: path.basename(absolutePath),
+                    title,
+                    platform,
+                    status: 'skipped'
+                };
+                
+                this.processedFiles.push(result);
+                return result;
             }
             
-            let newContent = content;
+            // Rewrites are collected as spans over the original body and applied together
+            const edits = new EditEngine(content);
             const changes = [];
             
+            // Candidates are scored against the article keywords
+            const keywords = frontMatter.get('keywords');
+            const scorer = new CandidateScorer({
+                keywords: Array.isArray(keywords) ? keywords : String(keywords || '').split(','),
+                weights: this.config.candidateWeights
+            });
+            const candidateLog = [];
+            
+            // Original/rewritten pairs, checked for semantic drift by the validator
+            const rewrites = [];
+            
+            // Source offsets (in the original file) of every rewritten block
+            const rewrittenBlocks = [];
+            const toFileOffsets = (role, block) => ({
+                role,
+                start: frontMatter.bodyOffset + block.start,
+                end: frontMatter.bodyOffset + block.end
+            });
+            
             // Rewrite opening paragraph if exists
             if (openingParagraph) {
                 console.log(`  🤖 Rewriting opening paragraph...`);
-                const rewrittenOpening = await this.llmRewriter.rewriteOpeningParagraph(
-                    openingParagraph, title, platform
+                const rewrittenOpening = await this.generateRewrite('opening paragraph', openingParagraph.text, () =>
+                    this.llmRewriter.rewriteOpeningParagraph(openingParagraph.text, title, platform), scorer, candidateLog
                 );
                 
-                newContent = newContent.replace(openingParagraph, rewrittenOpening.trim());
+                edits.add({
+                    start: openingParagraph.start,
+                    end: openingParagraph.end,
+                    replacement: rewrittenOpening.trim(),
+                    expected: openingParagraph.text,
+                    label: 'opening paragraph'
+                });
+                rewrittenBlocks.push(toFileOffsets('opening', openingParagraph));
+                rewrites.push({ label: 'opening paragraph', original: openingParagraph.text, rewritten: rewrittenOpening.trim() });
                 changes.push('opening paragraph');
                 
                 // Add delay between API calls
                 await this.llmRewriter.delay();
             }
             
+            // Rewrite the explanatory text of each section (section mode)
+            if (sectionParagraphs.length > 0) {
+                for (let i = 0; i < sectionParagraphs.length; i++) {
+                    const section = sectionParagraphs[i];
+                    console.log(`  🤖 Rewriting section block ${i + 1}/${sectionParagraphs.length}${section.context.heading ? ` (${section.context.heading})` : ''}...`);
+                    
+                    const rewrittenSection = await this.generateRewrite(`section block ${i + 1}`, section.text, () =>
+                        this.llmRewriter.rewriteSectionText(section.text, title, platform, section.context), scorer, candidateLog
+                    );
+                    
+                    edits.add({
+                        start: section.start,
+                        end: section.end,
+                        replacement: rewrittenSection.trim(),
+                        expected: section.text,
+                        label: `section block ${i + 1}`
+                    });
+                    rewrittenBlocks.push(toFileOffsets('section', section));
+                    rewrites.push({ label: `section block ${i + 1}`, original: section.text, rewritten: rewrittenSection.trim() });
+                    
+                    await this.llmRewriter.delay();
+                }
+                
+                changes.push(`${sectionParagraphs.length} section blocks`);
+            }
+            
             // Rewrite each closing paragraph individually
             if (closingParagraphs.length > 0) {
                 console.log(`  🤖 Rewriting ${closingParagraphs.length} closing paragraphs...`);
@@ -160,12 +342,20 @@ class ContentProcessor {
                     const paragraph = closingParagraphs[i];
                     console.log(`  🤖 Rewriting closing paragraph ${i + 1}/${closingParagraphs.length}...`);
                     
-                    const rewrittenClosing = await this.llmRewriter.rewriteClosingParagraph(
-                        paragraph, title, platform
+                    const rewrittenClosing = await this.generateRewrite(`closing paragraph ${i + 1}`, paragraph.text, () =>
+                        this.llmRewriter.rewriteClosingParagraph(paragraph.text, title, platform), scorer, candidateLog
                     );
                     
                     // Replace the original paragraph with the rewritten one
-                    newContent = newContent.replace(paragraph, rewrittenClosing.trim());
+                    edits.add({
+                        start: paragraph.start,
+                        end: paragraph.end,
+                        replacement: rewrittenClosing.trim(),
+                        expected: paragraph.text,
+                        label: `closing paragraph ${i + 1}`
+                    });
+                    rewrittenBlocks.push(toFileOffsets('closing', paragraph));
+                    rewrites.push({ label: `closing paragraph ${i + 1}`, original: paragraph.text, rewritten: rewrittenClosing.trim() });
                     
                     // Add delay between API calls
                     if (i < closingParagraphs.length - 1) {
@@ -176,50 +366,41 @@ class ContentProcessor {
                 changes.push(`${closingParagraphs.length} closing paragraphs`);
             }
             
-            // Update lastmod in front matter
-            const updatedFrontMatter = this.updateLastMod(frontMatter);
-            
-            // Reconstruct the file
-            const newFileContent = `---\n${updatedFrontMatter}\n---\n${newContent}`;
-            
-            // Create backup before writing
-            const backupPath = ContentValidator.createBackup(absolutePath);
-            
-            try {
-                // Write the updated content
-                fs.writeFileSync(absolutePath, newFileContent);
-                
-                // Validate the new content
-                const validation = this.validator.validateFile(absolutePath, originalContent);
-                
-                if (!validation.valid) {
-                    // Restore from backup if validation fails
-                    ContentValidator.restoreFromBackup(absolutePath, backupPath);
-                    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            // Rewrite the description and suggest a title in SEO mode
+            let seo;
+            if (this.seo) {
+                seo = await this.rewriteSeoFields(frontMatter, title, platform);
+                if (seo.description) {
+                    changes.push('description');
                 }
-                
-                // Clean up backup if validation passed
-                fs.unlinkSync(backupPath);
-                
-                // Add validation info to result
-                if (validation.warnings.length > 0) {
-                    console.log(`  ⚠️  Warnings: ${validation.warnings.join(', ')}`);
-                }
-                
-            } catch (error) {
-                // Ensure backup is cleaned up even on error
-                if (fs.existsSync(backupPath)) {
-                    ContentValidator.restoreFromBackup(absolutePath, backupPath);
+                if (seo.titleSuggestion) {
+                    changes.push('title suggestion');
                 }
-                throw error;
             }
             
+            // Apply all rewrites in one pass, then update lastmod and reconstruct the file
+            const newContent = edits.apply();
+            this.updateLastMod(frontMatter);
+            frontMatter.body = newContent;
+            const newFileContent = frontMatter.toString();
+            
+            const validationOptions = { seo: this.seo, rewrites, filePath: absolutePath };
+            const validation = this.dryRun
+                ? this.previewArticle(relativePath, newFileContent, originalContent, validationOptions)
+                : this.writeValidatedArticle(absolutePath, newFileContent, originalContent, validationOptions);
+            
             const result = {
                 filePath: absolutePath,
+                relativePath,
                 fileName: path.basename(absolutePath),
                 title,
                 platform,
                 changes,
+                blocks: rewrittenBlocks,
+                seo,
+                candidates: candidateLog.length > 0 ? candidateLog : undefined,
+                drift: validation.drift,
+                readability: validation.readability,
                 status: 'success'
             };
             
@@ -229,10 +410,17 @@ class ContentProcessor {
             return result;
             
         } catch (error) {
+            // Nothing was written yet, so the article is simply left for the next run
+            if (error.budgetExhausted) {
+                console.log(`  ⏸️  ${error.message}, leaving for the next run`);
+                return this.addPendingResult(absolutePath, relativePath, error.message);
+            }
+            
             console.error(`  ❌ Error processing ${filePath}:`, error.message);
             
             const result = {
                 filePath: absolutePath,
+                relativePath,
                 fileName: path.basename(filePath),
                 error: error.message,
                 status: 'error'
@@ -243,6 +431,116 @@ class ContentProcessor {
         }
     }
 
+    /**
+     * Record an article that was not rewritten because the LLM budget ran out
+     */
+    addPendingResult(absolutePath, relativePath, reason = 'LLM budget exhausted') {
+        const result = {
+            filePath: absolutePath,
+            relativePath,
+            fileName: path.basename(absolutePath),
+            error: reason,
+            status: 'pending'
+        };
+        
+        this.processedFiles.push(result);
+        return result;
+    }
+
+    /**
+     * Write rewritten content, keeping it only if validation passes
+     * Returns the validation result
+     */
+    writeValidatedArticle(absolutePath, newFileContent, originalContent, validationOptions = {}) {
+        // Create backup before writing
+        const backupPath = ContentValidator.createBackup(absolutePath);
+        
+        try {
+            // Write the updated content
+            fs.writeFileSync(absolutePath, newFileContent);
+            
+            // Validate the new content
+            const validation = this.validator.validateFile(absolutePath, originalContent, validationOptions);
+            
+            if (!validation.valid) {
+                // Restore from backup if validation fails
+                ContentValidator.restoreFromBackup(absolutePath, backupPath);
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+            
+            // Clean up backup if validation passed
+            fs.unlinkSync(backupPath);
+            
+            // Add validation info to result
+            if (validation.warnings.length > 0) {
+                console.log(`  ⚠️  Warnings: ${validation.warnings.join(', ')}`);
+            }
+            
+            return validation;
+            
+        } catch (error) {
+            // Ensure backup is cleaned up even on error
+            if (fs.existsSync(backupPath)) {
+                ContentValidator.restoreFromBackup(absolutePath, backupPath);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Validate rewritten content in memory and keep it for the dry-run patch and preview
+     * Returns the validation result
+     */
+    previewArticle(relativePath, newFileContent, originalContent, validationOptions = {}) {
+        const validation = this.validator.validateContent(newFileContent, originalContent, validationOptions);
+        
+        this.dryRunChanges.push({
+            relativePath,
+            originalContent,
+            newContent: newFileContent,
+            valid: validation.valid,
+            notes: [
+                ...validation.errors.map(error => `Error: ${error}`),
+                ...validation.warnings.map(warning => `Warning: ${warning}`)
+            ]
+        });
+        
+        if (!validation.valid) {
+            throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+        }
+        
+        if (validation.warnings.length > 0) {
+            console.log(`  ⚠️  Warnings: ${validation.warnings.join(', ')}`);
+        }
+        
+        return validation;
+    }
+
+    /**
+     * Write the dry-run results: a unified patch of the valid rewrites and an
+     * HTML side-by-side preview of every rewrite (including rejected ones)
+     */
+    writeDryRunOutput(patchPath = DRY_RUN_PATCH_PATH, htmlPath = DRY_RUN_HTML_PATH) {
+        const patch = this.dryRunChanges
+            .filter(change => change.valid)
+            .map(change => TextDiff.unified(change.originalContent, change.newContent, change.relativePath))
+            .join('');
+        
+        const html = TextDiff.sideBySideHtml(this.dryRunChanges.map(change => ({
+            filePath: change.relativePath,
+            oldText: change.originalContent,
+            newText: change.newContent,
+            notes: change.notes
+        })), 'Content Rewriter Dry Run');
+        
+        fs.writeFileSync(patchPath, patch);
+        fs.writeFileSync(htmlPath, html);
+        
+        console.log(`\n🔍 Dry run: ${this.dryRunChanges.length} rewrites previewed, nothing in content/ was changed`);
+        console.log(`  📄 Patch: ${patchPath}`);
+        console.log(`  🌐 Preview: ${htmlPath}`);
+    }
+
     /**
      * Process multiple articles
      */
@@ -254,15 +552,46 @@ class ContentProcessor {
             await this.processArticle(articlePaths[i]);
             
             // Add delay between articles
-            if (i < articlePaths.length - 1) {
+            if (i < articlePaths.length - 1 && !this.llmRewriter.client.usage.isExhausted()) {
                 console.log(`  ⏳ Waiting before next article...`);
                 await this.llmRewriter.delay(3000); // 3 second delay between articles
             }
         }
         
+        if (this.dryRun) {
+            this.writeDryRunOutput();
+        }
+        
         return this.processedFiles;
     }
 
+    /**
+     * Record the outcome of every processed article in the rewrite ledger
+     */
+    updateLedger(ledger = new RewriteLedger()) {
+        const runId = process.env.GITHUB_RUN_ID || `local-${Date.now()}`;
+        const outcomes = { success: 'success', error: 'failed', skipped: 'skipped' };
+        
+        for (const file of this.processedFiles) {
+            // Articles left pending by the LLM budget weren't attempted
+            if (file.status === 'pending') {
+                continue;
+            }
+            
+            ledger.record(file.filePath, {
+                runId,
+                model: this.llmRewriter.client.getSettings('rewrite').model,
+                outcome: outcomes[file.status],
+                error: file.error
+            });
+        }
+        
+        ledger.save();
+        console.log(`📒 Rewrite ledger updated: ${path.relative(process.cwd(), ledger.ledgerPath)}`);
+        
+        return ledger;
+    }
+
     /**
      * Generate processing report
      */
@@ -270,13 +599,21 @@ class ContentProcessor {
         const successful = this.processedFiles.filter(f => f.status === 'success');
         const failed = this.processedFiles.filter(f => f.status === 'error');
         
+        const skipped = this.processedFiles.filter(f => f.status === 'skipped');
+        const pending = this.processedFiles.filter(f => f.status === 'pending');
+        
         const report = {
             timestamp: new Date().toISOString(),
+            dryRun: this.dryRun,
             summary: {
                 total: this.processedFiles.length,
                 successful: successful.length,
-                failed: failed.length
+                failed: failed.length,
+                skipped: skipped.length,
+                pending: pending.length
             },
+            llmCache: this.llmRewriter.client.getCacheStats(),
+            llmUsage: this.llmRewriter.client.usage.getSummary(),
             files: this.processedFiles
         };
         
@@ -286,7 +623,15 @@ class ContentProcessor {
         console.log(`\n📊 Processing Summary:`);
         console.log(`  ✅ Successful: ${successful.length}`);
         console.log(`  ❌ Failed: ${failed.length}`);
+        console.log(`  ⏭️  Skipped: ${skipped.length}`);
+        if (pending.length > 0) {
+            console.log(`  ⏸️  Pending (LLM budget exhausted): ${pending.length}`);
+        }
         console.log(`  📄 Total: ${this.processedFiles.length}`);
+        console.log(`  🪙 LLM usage: ${this.llmRewriter.client.usage.formatTotals()}`);
+        if (report.llmCache) {
+            console.log(`  🗄️  LLM cache: ${report.llmCache.hits} hits, ${report.llmCache.misses} misses`);
+        }
         
         return report;
     }
@@ -294,38 +639,76 @@ class ContentProcessor {
 
 // Main execution for GitHub Actions
 if (require.main === module) {
-    const apiKey = process.env.LLM_API_KEY;
     const selectedArticlesJson = process.env.SELECTED_ARTICLES;
+    const dryRun = process.argv.includes('--dry-run');
+    const seo = process.argv.includes('--seo');
+    const sections = process.argv.includes('--sections');
+    const noCache = process.argv.includes('--no-cache');
+    const candidatesOption = readOptionValue(process.argv, 'candidates');
+    const candidates = candidatesOption === undefined ? undefined : Number(candidatesOption);
     
-    if (!apiKey) {
-        console.error('❌ LLM_API_KEY environment variable is required');
+    if (candidates !== undefined && (!Number.isInteger(candidates) || candidates < 1)) {
+        console.error(`❌ --candidates must be a positive integer, got "${candidatesOption}"`);
         process.exit(1);
     }
+    const selectionPath = path.resolve(__dirname, '../../selected-articles.json');
     
-    if (!selectedArticlesJson) {
-        console.error('❌ SELECTED_ARTICLES environment variable is required');
+    // Fail before any work when the LLM settings are incomplete or invalid (model, API key, budget)
+    let client;
+    try {
+        client = new LLMClient();
+        client.getSettings('rewrite');
+        if (seo) client.getSettings('seo');
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
         process.exit(1);
     }
+    if (noCache) {
+        client.disableCache();
+    }
     
     let selectedArticles;
     try {
-        selectedArticles = JSON.parse(selectedArticlesJson);
+        if (selectedArticlesJson) {
+            selectedArticles = JSON.parse(selectedArticlesJson);
+        } else if (dryRun && fs.existsSync(selectionPath)) {
+            // Local dry runs can use the output of article-selector.js directly
+            selectedArticles = JSON.parse(fs.readFileSync(selectionPath, 'utf8')).articles;
+        } else {
+            console.error('❌ SELECTED_ARTICLES environment variable is required');
+            process.exit(1);
+        }
     } catch (error) {
         console.error('❌ Invalid SELECTED_ARTICLES JSON:', error.message);
         process.exit(1);
     }
     
-    const articlePaths = selectedArticles.map(article => article.path);
+    // Prefer the repository-relative path so nested articles and page bundles resolve correctly
+    const articlePaths = selectedArticles.map(article => article.relativePath || article.path);
     
-    const processor = new ContentProcessor(apiKey);
+    const processor = new ContentProcessor({ client, dryRun, seo, sections, candidates });
     
     processor.processArticles(articlePaths)
         .then(() => {
             const report = processor.generateReport();
             
+            // A dry run changes nothing, so it is not recorded in the ledger
+            if (!dryRun) {
+                processor.updateLedger();
+            }
+            
+            // Per-article failures don't fail the run: they are listed in the PR, and the ledger
+            // (committed with the PR) has to record them for the failed-article cooldown
             if (report.summary.failed > 0) {
-                console.error(`❌ ${report.summary.failed} articles failed to process`);
-                process.exit(1);
+                console.warn(`⚠️  ${report.summary.failed} articles failed to process (see processing-report.json)`);
+            }
+            
+            if (report.summary.pending > 0) {
+                console.log(`⏸️  LLM budget exhausted: ${report.summary.pending} articles left for the next run`);
+            }
+            
+            if (report.summary.failed > 0 || report.summary.pending > 0) {
+                return;
             }
             
             console.log('🎉 All articles processed successfully!');
@@ -2,48 +2,155 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadConfig } = require('./config.js');
+const FrontMatter = require('./front-matter.js');
+const FrontMatterSchema = require('./front-matter-schema.js');
+const Identifiers = require('./identifiers.js');
+const LinkChecker = require('./link-checker.js');
+const MarkdownBlocks = require('./markdown-blocks.js');
+const RuleRegistry = require('./rule-registry.js');
+const TextMetrics = require('./text-metrics.js');
 
 /**
  * Content Validator - Ensures rewritten content maintains quality and integrity
+ *
+ * Every check reports under a rule id from CONTENT_RULES; the rule registry decides
+ * whether a finding is an error, a warning or ignored (see rule-registry.js)
  */
 
+// Built-in rules: `lint` rules only need the article itself, `rewrite` rules run after a rewrite
+const CONTENT_RULES = [
+    { id: 'validation-failed', severity: 'error', scopes: ['rewrite', 'lint'], description: 'The validator could not process the article' },
+    { id: 'front-matter-missing', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Front matter is present and parses' },
+    { id: 'front-matter-required-field', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Front matter has every required field' },
+    { id: 'front-matter-date-format', severity: 'error', scopes: ['rewrite', 'lint'], description: 'date and lastmod are YYYY-MM-DD dates' },
+    { id: 'front-matter-schema', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Front matter values match the schema for the article type (front-matter-schema.json)' },
+    { id: 'unmatched-brackets', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Square brackets are balanced' },
+    { id: 'unmatched-link-parentheses', severity: 'warning', scopes: ['rewrite', 'lint'], description: 'Link parentheses are balanced' },
+    { id: 'unmatched-code-fence', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Code fences (```) are balanced' },
+    { id: 'shortcode-unterminated', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Every Hugo shortcode is terminated' },
+    { id: 'shortcode-syntax', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Hugo shortcodes have a name and matching delimiters' },
+    { id: 'shortcode-unmatched-closing', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Every closing shortcode has an opening tag' },
+    { id: 'broken-link', severity: 'error', scopes: ['rewrite', 'lint'], description: 'Internal links, ref/relref targets and anchors resolve to pages under content/<lang>/' },
+    { id: 'gist-count', severity: 'error', scopes: ['rewrite'], description: 'The rewrite keeps every gist shortcode' },
+    { id: 'gist-modified', severity: 'error', scopes: ['rewrite'], description: 'Gist shortcodes are kept verbatim' },
+    { id: 'heading-count-changed', severity: 'warning', scopes: ['rewrite'], description: 'The rewrite keeps the number of headings' },
+    { id: 'heading-changed', severity: 'warning', scopes: ['rewrite'], description: 'Headings are kept verbatim' },
+    { id: 'link-count-changed', severity: 'warning', scopes: ['rewrite'], description: 'The rewrite keeps the number of links' },
+    { id: 'internal-link-count', severity: 'error', scopes: ['rewrite'], description: 'The rewrite keeps every site/baseurl link' },
+    { id: 'content-length-changed', severity: 'warning', scopes: ['rewrite'], description: 'The rewrite is not less than half or more than twice as long' },
+    { id: 'seo-description', severity: 'error', scopes: ['rewrite'], description: 'A rewritten meta description meets the SEO rules' },
+    { id: 'identifier-removed', severity: 'error', scopes: ['rewrite'], description: 'Rewrites keep every technical identifier' },
+    { id: 'identifier-misspelled', severity: 'error', scopes: ['rewrite'], description: 'Rewrites do not misspell technical identifiers' },
+    { id: 'identifier-added', severity: 'warning', scopes: ['rewrite'], description: 'Rewrites do not introduce new technical identifiers' },
+    { id: 'readability-regression', severity: 'error', scopes: ['rewrite'], description: 'Rewrites do not read worse than the original' },
+    { id: 'semantic-drift', severity: 'error', scopes: ['rewrite'], description: 'Rewrites keep the meaning of the original paragraph' }
+];
+
+// Search result snippets are cut at roughly 160 characters
+const SEO_DESCRIPTION_MIN_LENGTH = 140;
+const SEO_DESCRIPTION_MAX_LENGTH = 160;
+
+// Overridable via the `validator` section of kb-workflows.config.json
+const DEFAULT_VALIDATOR_CONFIG = {
+    drift: {
+        threshold: 0.4,         // rewrites scoring below this fail validation (0 disables the check)
+        weights: {
+            tokenOverlap: 0.3,  // shared content words
+            tfidfCosine: 0.4,   // TF-IDF similarity, IDF taken from the article's paragraphs
+            agreement: 0.3      // numbers and named entities kept, no numbers invented
+        }
+    },
+    readability: {
+        // How much worse than the original a rewrite may read before it fails (null disables a metric)
+        margins: {
+            fleschReadingEase: 5,       // points lower
+            averageSentenceLength: 3,   // words per sentence longer
+            passiveVoiceRatio: 0.1      // share of passive sentences higher
+        }
+    }
+};
+
 class ContentValidator {
-    constructor() {
+    constructor(config = loadConfig('validator', DEFAULT_VALIDATOR_CONFIG), registry = null) {
         this.errors = [];
         this.warnings = [];
+        this.issues = [];
+        this.drift = [];
+        this.readability = null;
+        this.context = {};
+        this.config = config;
+        this.registry = registry || new RuleRegistry().registerAll(CONTENT_RULES).loadCustomRules();
+        this.linkChecker = null;
+        this.schema = new FrontMatterSchema();
     }
 
     /**
-     * Validate front matter integrity
+     * Start a validation run: clear the findings and set the language and product
+     * used to resolve rule severities
      */
-    validateFrontMatter(content) {
-        const frontMatterMatch = content.match(/^---\n([\s\S]*?)\n---\n/);
-        
-        if (!frontMatterMatch) {
-            this.errors.push('Missing or malformed front matter');
-            return false;
+    reset(content, context = {}) {
+        this.errors = [];
+        this.warnings = [];
+        this.issues = [];
+        this.drift = [];
+        this.readability = null;
+
+        let product = context.product || null;
+        if (!product && FrontMatter.hasFrontMatter(content)) {
+            const productKey = FrontMatter.parse(content).get('productkey');
+            product = productKey ? String(productKey) : null;
+        }
+        this.context = { language: context.language || null, product };
+    }
+
+    /**
+     * Report a finding under a rule; its resolved severity files it as an error or a warning
+     * (or drops it when the rule is off)
+     */
+    report(ruleId, message) {
+        const severity = this.registry.resolveSeverity(ruleId, this.context);
+        if (severity === 'off') {
+            return;
         }
 
-        const frontMatter = frontMatterMatch[1];
-        
-        // Required fields
-        const requiredFields = ['title', 'productname', 'productkey', 'platformkey', 'date', 'lastmod', 'type'];
-        
-        for (const field of requiredFields) {
-            if (!frontMatter.includes(`${field}:`)) {
-                this.errors.push(`Missing required field: ${field}`);
+        this.issues.push({ rule: ruleId, severity, message });
+        (severity === 'error' ? this.errors : this.warnings).push(message);
+    }
+
+    /**
+     * Run the custom rules of a scope that have a check(context, report) function
+     */
+    runCustomRules(scope, context) {
+        for (const rule of this.registry.list(scope).filter(entry => entry.check)) {
+            try {
+                rule.check({ ...this.context, ...context }, message => this.report(rule.id, message));
+            } catch (error) {
+                this.report('validation-failed', `Rule ${rule.id} failed: ${error.message}`);
             }
         }
+    }
 
-        // Validate date formats (YYYY-MM-DD)
-        const dateFields = ['date', 'lastmod'];
-        for (const field of dateFields) {
-            const match = frontMatter.match(new RegExp(`${field}:\\s*(\\d{4}-\\d{2}-\\d{2})`));
-            if (match) {
-                const dateStr = match[1];
-                if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-                    this.errors.push(`Invalid date format for ${field}: ${dateStr} (should be YYYY-MM-DD)`);
-                }
+    /**
+     * Validate front matter integrity against the schema for the article's type (see front-matter-schema.js)
+     * With the original content, only problems the rewrite introduced are reported (content-lint reports the rest)
+     */
+    validateFrontMatter(content, originalContent = null) {
+        if (!FrontMatter.hasFrontMatter(content)) {
+            this.report('front-matter-missing', 'Missing or malformed front matter');
+            return false;
+        }
+
+        const frontMatter = FrontMatter.parse(content);
+        const alreadyInvalid = new Set(originalContent && FrontMatter.hasFrontMatter(originalContent)
+            ? this.schema.validate(FrontMatter.parse(originalContent).data).map(problem => problem.message)
+            : []);
+
+        // Missing fields and bad dates keep their own rules; everything else is a schema problem
+        const rules = { required: 'front-matter-required-field', format: 'front-matter-date-format' };
+        for (const { keyword, message } of this.schema.validate(frontMatter.data)) {
+            if (!alreadyInvalid.has(message)) {
+                this.report(rules[keyword] || 'front-matter-schema', message);
             }
         }
 
@@ -59,14 +166,14 @@ class ContentValidator {
         const newGists = (newContent.match(/\{\{<\s*gist[\s\S]*?\>\}\}/g) || []);
 
         if (originalGists.length !== newGists.length) {
-            this.errors.push(`Gist count mismatch: original ${originalGists.length}, new ${newGists.length}`);
+            this.report('gist-count', `Gist count mismatch: original ${originalGists.length}, new ${newGists.length}`);
             return false;
         }
 
         // Check that each gist is preserved exactly
         for (let i = 0; i < originalGists.length; i++) {
             if (originalGists[i] !== newGists[i]) {
-                this.errors.push(`Gist ${i + 1} was modified: "${originalGists[i]}" -> "${newGists[i]}"`);
+                this.report('gist-modified', `Gist ${i + 1} was modified: "${originalGists[i]}" -> "${newGists[i]}"`);
             }
         }
 
@@ -81,7 +188,7 @@ class ContentValidator {
         const newHeadings = (newContent.match(/^#{1,6}\s+.+$/gm) || []);
 
         if (originalHeadings.length !== newHeadings.length) {
-            this.warnings.push(`Heading count changed: original ${originalHeadings.length}, new ${newHeadings.length}`);
+            this.report('heading-count-changed', `Heading count changed: original ${originalHeadings.length}, new ${newHeadings.length}`);
         }
 
         // Check for significant heading changes
@@ -90,7 +197,7 @@ class ContentValidator {
 
         for (let i = 0; i < Math.min(originalHeadingTexts.length, newHeadingTexts.length); i++) {
             if (originalHeadingTexts[i] !== newHeadingTexts[i]) {
-                this.warnings.push(`Heading ${i + 1} changed: "${originalHeadingTexts[i]}" -> "${newHeadingTexts[i]}"`);
+                this.report('heading-changed', `Heading ${i + 1} changed: "${originalHeadingTexts[i]}" -> "${newHeadingTexts[i]}"`);
             }
         }
 
@@ -105,7 +212,7 @@ class ContentValidator {
         const newLinks = (newContent.match(/\[([^\]]*)\]\([^)]+\)/g) || []);
 
         if (originalLinks.length !== newLinks.length) {
-            this.warnings.push(`Link count changed: original ${originalLinks.length}, new ${newLinks.length}`);
+            this.report('link-count-changed', `Link count changed: original ${originalLinks.length}, new ${newLinks.length}`);
         }
 
         // Check for broken internal links
@@ -114,7 +221,7 @@ class ContentValidator {
         const newInternalLinks = (newContent.match(internalLinkPattern) || []);
 
         if (originalInternalLinks.length !== newInternalLinks.length) {
-            this.errors.push(`Internal link count mismatch: original ${originalInternalLinks.length}, new ${newInternalLinks.length}`);
+            this.report('internal-link-count', `Internal link count mismatch: original ${originalInternalLinks.length}, new ${newInternalLinks.length}`);
         }
 
         return this.errors.length === 0;
@@ -125,30 +232,100 @@ class ContentValidator {
      */
     validateMarkdownStructure(content) {
         // Check for broken markdown elements
-        const issues = [];
+        const errorCount = this.errors.length;
 
         // Check for unmatched brackets
         const openBrackets = (content.match(/\[/g) || []).length;
         const closeBrackets = (content.match(/\]/g) || []).length;
         if (openBrackets !== closeBrackets) {
-            issues.push(`Unmatched square brackets: ${openBrackets} open, ${closeBrackets} close`);
+            this.report('unmatched-brackets', `Unmatched square brackets: ${openBrackets} open, ${closeBrackets} close`);
         }
 
         // Check for unmatched parentheses in links
         const openParens = (content.match(/\]\(/g) || []).length;
         const closeParens = (content.match(/\)\s*[^(]/g) || []).length;
         if (Math.abs(openParens - closeParens) > 1) { // Allow for some flexibility
-            this.warnings.push(`Potential unmatched parentheses in links`);
+            this.report('unmatched-link-parentheses', 'Potential unmatched parentheses in links');
         }
 
         // Check for broken code blocks
         const codeBlocks = content.match(/```/g);
         if (codeBlocks && codeBlocks.length % 2 !== 0) {
-            issues.push('Unmatched code block markers (```)');
+            this.report('unmatched-code-fence', 'Unmatched code block markers (```)');
+        }
+
+        return this.errors.length === errorCount;
+    }
+
+    /**
+     * Validate Hugo shortcodes: every tag is terminated with the delimiter it opened with,
+     * and every closing tag has an opening tag (messages name the line of the tag)
+     */
+    validateShortcodes(content) {
+        const lineOf = index => content.substring(0, index).split('\n').length;
+        const open = [];
+        const tagPattern = /\{\{([<%])-?\s*(\/?)\s*([\w./-]*)([\s\S]*?)(?:([>%])\}\}|(?=\{\{)|$)/g;
+        let tag;
+
+        while ((tag = tagPattern.exec(content)) !== null) {
+            const [text, openDelimiter, slash, name, , closeDelimiter] = tag;
+            const line = lineOf(tag.index);
+
+            // {{</* ... */>}} is an escaped shortcode shown as text
+            if (text.startsWith(`{{${openDelimiter}/*`)) {
+                continue;
+            }
+            if (!closeDelimiter) {
+                this.report('shortcode-unterminated', `Unterminated shortcode ${text.trim().split('\n')[0].substring(0, 40)} (line ${line})`);
+                continue;
+            }
+            if ((openDelimiter === '<') !== (closeDelimiter === '>')) {
+                this.report('shortcode-syntax', `Shortcode ${name || text.trim()} opens with {{${openDelimiter} but closes with ${closeDelimiter}}} (line ${line})`);
+                continue;
+            }
+            if (!name) {
+                this.report('shortcode-syntax', `Shortcode without a name (line ${line})`);
+                continue;
+            }
+
+            if (!slash) {
+                open.push({ name, line });
+                continue;
+            }
+
+            // Tags above the matching opening tag were standalone shortcodes
+            const opening = open.map(entry => entry.name).lastIndexOf(name);
+            if (opening === -1) {
+                this.report('shortcode-unmatched-closing', `Closing shortcode {{${openDelimiter} /${name} ${closeDelimiter}}} has no opening tag (line ${line})`);
+            } else {
+                open.splice(opening);
+            }
+        }
+
+        return this.errors.length === 0;
+    }
+
+    /**
+     * Check that internal links resolve in the content tree (see link-checker.js)
+     * filePath places the article under content/<lang>/; with originalContent only links
+     * the rewrite broke are reported, so existing broken links don't fail a rewrite
+     */
+    validateInternalLinks(content, filePath, originalContent = null) {
+        if (!this.linkChecker) {
+            this.linkChecker = new LinkChecker();
+        }
+
+        const alreadyBroken = new Set(originalContent
+            ? this.linkChecker.checkContent(originalContent, filePath).map(problem => problem.message)
+            : []);
+
+        for (const { line, message } of this.linkChecker.checkContent(content, filePath)) {
+            if (!alreadyBroken.has(message)) {
+                this.report('broken-link', `${message} (line ${line})`);
+            }
         }
 
-        this.errors.push(...issues);
-        return issues.length === 0;
+        return this.errors.length === 0;
     }
 
     /**
@@ -160,27 +337,251 @@ class ContentValidator {
         const ratio = newLength / originalLength;
 
         if (ratio < 0.5) {
-            this.warnings.push(`Content significantly shortened: ${Math.round((1 - ratio) * 100)}% reduction`);
+            this.report('content-length-changed', `Content significantly shortened: ${Math.round((1 - ratio) * 100)}% reduction`);
         } else if (ratio > 2.0) {
-            this.warnings.push(`Content significantly lengthened: ${Math.round((ratio - 1) * 100)}% increase`);
+            this.report('content-length-changed', `Content significantly lengthened: ${Math.round((ratio - 1) * 100)}% increase`);
         }
 
         return true;
     }
 
     /**
-     * Validate a single file
+     * Get the terms SEO rewrites must keep: the first keyword and the product name
      */
-    validateFile(filePath, originalContent = null) {
-        this.errors = [];
-        this.warnings = [];
+    getSeoTerms(frontMatter) {
+        const keywords = frontMatter.get('keywords');
+        const primaryKeyword = Array.isArray(keywords)
+            ? keywords[0]
+            : (typeof keywords === 'string' ? keywords.split(',')[0] : null);
+
+        return {
+            primaryKeyword: primaryKeyword ? String(primaryKeyword).trim() : null,
+            productName: frontMatter.get('productname') ? String(frontMatter.get('productname')).trim() : null
+        };
+    }
+
+    /**
+     * Check that an SEO text still contains the primary keyword and product name
+     */
+    checkSeoTerms(text, field, { primaryKeyword, productName }) {
+        const errors = [];
+        const lowerText = text.toLowerCase();
+
+        if (primaryKeyword && !lowerText.includes(primaryKeyword.toLowerCase())) {
+            errors.push(`SEO ${field} drops the primary keyword "${primaryKeyword}"`);
+        }
+        if (productName && !lowerText.includes(productName.toLowerCase())) {
+            errors.push(`SEO ${field} drops the product name "${productName}"`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a rewritten meta description: length limits plus primary keyword and product name
+     * Returns a list of problems (empty when valid)
+     */
+    validateSeoDescription(description, terms) {
+        const errors = [];
+
+        if (/[\r\n]/.test(description)) {
+            errors.push('SEO description must be a single line');
+        }
+        if (description.length < SEO_DESCRIPTION_MIN_LENGTH || description.length > SEO_DESCRIPTION_MAX_LENGTH) {
+            errors.push(`SEO description is ${description.length} characters (must be ${SEO_DESCRIPTION_MIN_LENGTH}-${SEO_DESCRIPTION_MAX_LENGTH})`);
+        }
+
+        return [...errors, ...this.checkSeoTerms(description, 'description', terms)];
+    }
+
+    /**
+     * Validate a suggested title: non-empty, single line, primary keyword and product name kept
+     * Returns a list of problems (empty when valid)
+     */
+    validateSeoTitle(title, terms) {
+        if (!title || /[\r\n]/.test(title)) {
+            return ['SEO title must be a single non-empty line'];
+        }
+        return this.checkSeoTerms(title, 'title', terms);
+    }
+
+    /**
+     * Validate the SEO fields of rewritten content against the original
+     * Only a description that was actually changed is checked
+     */
+    validateSeoFields(originalContent, content) {
+        const original = FrontMatter.parse(originalContent);
+        const description = FrontMatter.parse(content).get('description');
 
+        if (description !== original.get('description')) {
+            for (const message of this.validateSeoDescription(String(description || ''), this.getSeoTerms(original))) {
+                this.report('seo-description', message);
+            }
+        }
+    }
+
+    /**
+     * Score how much a rewrite drifts from the original paragraph (1 = same meaning, 0 = unrelated)
+     * documents are the article's paragraphs, used as the TF-IDF corpus
+     * Returns { score, breakdown }
+     */
+    measureDrift(original, rewritten, documents) {
+        // Numbers and entities of the original must survive; numbers the original never mentioned count against it
+        const originalNumbers = TextMetrics.numbers(original);
+        const rewrittenNumbers = TextMetrics.numbers(rewritten);
+        const expected = [...new Set([...originalNumbers, ...TextMetrics.entities(original)])];
+        const invented = [...new Set(rewrittenNumbers)].filter(number => !originalNumbers.includes(number));
+        const plainRewrite = TextMetrics.toPlainText(rewritten).toLowerCase();
+        const kept = expected.filter(term => plainRewrite.includes(term.toLowerCase()) || rewritten.includes(term)).length;
+
+        const breakdown = {
+            tokenOverlap: TextMetrics.tokenOverlap(original, rewritten),
+            tfidfCosine: TextMetrics.tfidfCosine(original, rewritten, [...documents, rewritten]),
+            agreement: expected.length + invented.length === 0 ? 1 : kept / (expected.length + invented.length)
+        };
+
+        let score = 0;
+        for (const [metric, weight] of Object.entries(this.config.drift.weights)) {
+            score += (breakdown[metric] || 0) * weight;
+        }
+
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            score: round(score),
+            breakdown: Object.fromEntries(Object.entries(breakdown).map(([metric, value]) => [metric, round(value)]))
+        };
+    }
+
+    /**
+     * Compare each rewritten paragraph with its original: [{ label, original, rewritten }]
+     * A rewrite scoring below the drift threshold is an error
+     */
+    validateDrift(originalContent, rewrites) {
+        const { threshold } = this.config.drift;
+        if (!threshold) {
+            return;
+        }
+
+        const body = FrontMatter.parse(originalContent).body;
+        const documents = [];
+        MarkdownBlocks.walk(MarkdownBlocks.parse(body), block => {
+            if (block.type === 'paragraph') documents.push(block.text);
+        });
+
+        for (const { label, original, rewritten } of rewrites) {
+            const drift = this.measureDrift(original, rewritten, documents);
+            this.drift.push({ label, ...drift });
+
+            if (drift.score < threshold) {
+                const details = Object.entries(drift.breakdown).map(([metric, value]) => `${metric} ${value}`).join(', ');
+                this.report('semantic-drift', `Semantic drift in ${label}: score ${drift.score} below ${threshold} (${details})`);
+            }
+        }
+    }
+
+    /**
+     * Check that rewrites keep every technical identifier of the original
+     * rewrites ([{ label, original, rewritten }]) are compared one by one; without them
+     * the whole bodies are compared. Removed or misspelled identifiers are errors, new ones warnings
+     */
+    validateIdentifiers(originalContent, content, rewrites = null) {
+        const pairs = rewrites || [{
+            label: 'content',
+            original: FrontMatter.parse(originalContent).body,
+            rewritten: FrontMatter.parse(content).body
+        }];
+
+        for (const { label, original, rewritten } of pairs) {
+            const { removed, added, misspelled } = Identifiers.compare(original, rewritten);
+
+            for (const value of removed) {
+                this.report('identifier-removed', `Identifier removed in ${label}: ${value}`);
+            }
+            for (const { original: expected, rewritten: actual } of misspelled) {
+                this.report('identifier-misspelled', `Identifier misspelled in ${label}: "${expected}" became "${actual}"`);
+            }
+            for (const value of added) {
+                this.report('identifier-added', `Identifier added in ${label}: ${value}`);
+            }
+        }
+    }
+
+    /**
+     * Compare readability of the rewritten prose with the original
+     * rewrites ([{ original, rewritten }]) are measured together; without them the
+     * paragraphs of both bodies are. A rewrite that reads worse by more than a margin is an error
+     */
+    validateReadability(originalContent, content, rewrites = null) {
+        const paragraphs = text => {
+            const found = [];
+            MarkdownBlocks.walk(MarkdownBlocks.parse(FrontMatter.parse(text).body), block => {
+                if (block.type === 'paragraph') found.push(block.text);
+            });
+            return found.join('\n\n');
+        };
+
+        const before = TextMetrics.readability(rewrites ? rewrites.map(rewrite => rewrite.original).join('\n\n') : paragraphs(originalContent));
+        const after = TextMetrics.readability(rewrites ? rewrites.map(rewrite => rewrite.rewritten).join('\n\n') : paragraphs(content));
+        this.readability = { before, after };
+
+        if (before.fleschReadingEase === null || after.fleschReadingEase === null) {
+            return;
+        }
+
+        const { margins } = this.config.readability;
+        const regressions = [
+            ['Flesch reading ease', 'fleschReadingEase', before.fleschReadingEase - after.fleschReadingEase],
+            ['Average sentence length', 'averageSentenceLength', after.averageSentenceLength - before.averageSentenceLength],
+            ['Passive voice ratio', 'passiveVoiceRatio', after.passiveVoiceRatio - before.passiveVoiceRatio]
+        ];
+
+        for (const [name, metric, worsening] of regressions) {
+            if (margins[metric] !== null && margins[metric] !== undefined && worsening > margins[metric]) {
+                this.report('readability-regression', `${name} got worse: ${before[metric]} -> ${after[metric]} (allowed margin ${margins[metric]})`);
+            }
+        }
+    }
+
+    /**
+     * Validate a single file
+     */
+    validateFile(filePath, originalContent = null, options = {}) {
         try {
             const content = fs.readFileSync(filePath, 'utf8');
+            return this.validateContent(content, originalContent, {
+                language: ContentValidator.getLanguage(filePath),
+                filePath,
+                ...options
+            });
+        } catch (error) {
+            return {
+                valid: false,
+                errors: [`Failed to validate file: ${error.message}`],
+                warnings: []
+            };
+        }
+    }
+
+    /**
+     * Validate in-memory content (used for dry runs, where nothing is written)
+     * options.seo also enforces the SEO description rules; options.rewrites
+     * ([{ label, original, rewritten }]) are checked for semantic drift and identifiers paragraph by
+     * paragraph, and for readability together; options.language and options.product
+     * select the rule severity overrides (the product defaults to the productkey), and
+     * options.filePath enables the internal link check
+     */
+    validateContent(content, originalContent = null, options = {}) {
+        this.reset(content, options);
 
+        try {
             // Basic validations
-            this.validateFrontMatter(content);
+            this.validateFrontMatter(content, originalContent);
             this.validateMarkdownStructure(content);
+            this.validateShortcodes(content);
+
+            if (options.filePath) {
+                this.validateInternalLinks(content, options.filePath, originalContent);
+            }
 
             // If we have original content, do comparison validations
             if (originalContent) {
@@ -188,23 +589,69 @@ class ContentValidator {
                 this.validateHeadingsPreservation(originalContent, content);
                 this.validateLinksPreservation(originalContent, content);
                 this.validateContentLength(originalContent, content);
+                this.validateIdentifiers(originalContent, content, options.rewrites);
+                this.validateReadability(originalContent, content, options.rewrites);
+
+                if (options.seo) {
+                    this.validateSeoFields(originalContent, content);
+                }
+
+                if (options.rewrites) {
+                    this.validateDrift(originalContent, options.rewrites);
+                }
             }
 
+            this.runCustomRules('rewrite', { content, originalContent, rewrites: options.rewrites || null });
+
             return {
                 valid: this.errors.length === 0,
                 errors: [...this.errors],
-                warnings: [...this.warnings]
+                warnings: [...this.warnings],
+                issues: [...this.issues],
+                drift: [...this.drift],
+                readability: this.readability
             };
 
         } catch (error) {
             return {
                 valid: false,
-                errors: [`Failed to validate file: ${error.message}`],
+                errors: [`Failed to validate content: ${error.message}`],
                 warnings: []
             };
         }
     }
 
+    /**
+     * Run the `lint` rules on one article: front matter, markdown structure, shortcodes,
+     * internal links (when context.filePath is set) and custom lint rules
+     * Returns the findings as [{ rule, severity, message }]
+     */
+    lintContent(content, context = {}) {
+        this.reset(content, context);
+
+        try {
+            this.validateFrontMatter(content);
+            this.validateMarkdownStructure(content);
+            this.validateShortcodes(content);
+            if (context.filePath) {
+                this.validateInternalLinks(content, context.filePath);
+            }
+            this.runCustomRules('lint', { content, originalContent: null, rewrites: null });
+        } catch (error) {
+            this.report('validation-failed', `Failed to validate content: ${error.message}`);
+        }
+
+        return [...this.issues];
+    }
+
+    /**
+     * Get the language of an article from its content/<language>/ path (null outside content/)
+     */
+    static getLanguage(filePath) {
+        const match = filePath.split(path.sep).join('/').match(/(?:^|\/)content\/([^/]+)\//);
+        return match ? match[1] : null;
+    }
+
     /**
      * Create backup of original content
      */
@@ -223,4 +670,8 @@ class ContentValidator {
     }
 }
 
+ContentValidator.CONTENT_RULES = CONTENT_RULES;
+ContentValidator.SEO_DESCRIPTION_MIN_LENGTH = SEO_DESCRIPTION_MIN_LENGTH;
+ContentValidator.SEO_DESCRIPTION_MAX_LENGTH = SEO_DESCRIPTION_MAX_LENGTH;
+
 module.exports = ContentValidator;
\ No newline at end of file
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Edit Engine
+ *
+ * Collects text replacements as (start, end, replacement) spans over one
+ * source text and applies them together in a single pass. Spans may not
+ * overlap, and each span must still contain the text it was created for.
+ */
+
+class EditEngine {
+    constructor(source) {
+        this.source = source;
+        this.edits = [];
+    }
+
+    /**
+     * Add a replacement for source[start, end)
+     * expected defaults to the current source text of the span
+     */
+    add({ start, end, replacement, expected = this.source.substring(start, end), label = `edit ${this.edits.length + 1}` }) {
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > this.source.length) {
+            throw new Error(`Invalid span for ${label}: [${start}, ${end}) in text of length ${this.source.length}`);
+        }
+
+        // Touching spans are fine; sharing any character (or two inserts at one point) is not
+        const overlapping = this.edits.find(edit =>
+            (start < edit.end && edit.start < end) || (start === end && edit.start === edit.end && start === edit.start)
+        );
+        if (overlapping) {
+            throw new Error(`Span for ${label} [${start}, ${end}) overlaps ${overlapping.label} [${overlapping.start}, ${overlapping.end})`);
+        }
+
+        const edit = { start, end, replacement, expected, label };
+        this.edits.push(edit);
+        return edit;
+    }
+
+    /**
+     * Get the edits in source order
+     */
+    getEdits() {
+        return [...this.edits].sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+
+    /**
+     * Apply all edits to the source (or to a given text with the same layout) in one pass
+     * Throws if any span no longer matches its expected text
+     */
+    apply(text = this.source) {
+        const edits = this.getEdits();
+
+        for (const edit of edits) {
+            const actual = text.substring(edit.start, edit.end);
+            if (actual !== edit.expected) {
+                throw new Error(
+                    `Span for ${edit.label} [${edit.start}, ${edit.end}) no longer matches its source text: ` +
+                    `expected ${JSON.stringify(edit.expected.substring(0, 60))}, found ${JSON.stringify(actual.substring(0, 60))}`
+                );
+            }
+        }
+
+        const parts = [];
+        let position = 0;
+
+        for (const edit of edits) {
+            parts.push(text.substring(position, edit.start), edit.replacement);
+            position = edit.end;
+        }
+        parts.push(text.substring(position));
+
+        return parts.join('');
+    }
+}
+
+module.exports = EditEngine;
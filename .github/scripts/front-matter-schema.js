@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * Front Matter Schema
+ *
+ * Checks article front matter against the JSON-Schema-style definitions in
+ * front-matter-schema.json, one per `type:` value ("*" covers every type
+ * without its own). Supported keywords: type, enum, const, minLength,
+ * maxLength, pattern, format ("date"), minimum, maximum, items, minItems,
+ * maxItems, uniqueItems, required, properties, patternProperties and
+ * additionalProperties, plus:
+ * - x-extends: start from another type's definition (objects merged, arrays replaced)
+ * - x-enumFrom: "products" or "platforms", as listed by ContentCatalog (so the
+ *   `catalog` include/exclude lists in kb-workflows.config.json apply)
+ * - x-sequence: { pattern, start } keys numbered by the pattern's first group
+ *   must run from start without gaps (step1, step2, ...)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergeConfig } = require('./config.js');
+const ContentCatalog = require('./content-catalog.js');
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_SCHEMA_PATH = path.resolve(__dirname, 'front-matter-schema.json');
+const DEFAULT_TYPE = '*';
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.+\-Z]+)?$/;     // YYYY-MM-DD, optionally followed by a time
+
+class FrontMatterSchema {
+    constructor(schemaPath = process.env.FRONT_MATTER_SCHEMA || DEFAULT_SCHEMA_PATH, catalog = new ContentCatalog()) {
+        this.schemaPath = schemaPath;
+        this.catalog = catalog;
+        this.types = null;
+        this.allowedValues = null;
+    }
+
+    /**
+     * Load the definitions (a missing file means no schema checks)
+     */
+    load() {
+        if (this.types) {
+            return this.types;
+        }
+
+        if (!fs.existsSync(this.schemaPath)) {
+            this.types = {};
+            return this.types;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.schemaPath, 'utf8'));
+        if (data.version !== SCHEMA_VERSION) {
+            throw new Error(`Unsupported front matter schema version ${data.version} in ${this.schemaPath} (expected ${SCHEMA_VERSION})`);
+        }
+
+        this.types = data.types || {};
+        return this.types;
+    }
+
+    /**
+     * Get the definition for a `type:` value, with x-extends resolved (null when there is none)
+     */
+    getSchema(type, seen = []) {
+        const types = this.load();
+        const name = type !== undefined && type !== null && types[String(type)] ? String(type) : DEFAULT_TYPE;
+        const schema = types[name];
+        if (!schema) {
+            return null;
+        }
+
+        if (!schema['x-extends']) {
+            return schema;
+        }
+        if (seen.includes(name)) {
+            throw new Error(`Front matter schema for type "${name}" extends itself`);
+        }
+
+        const base = types[schema['x-extends']];
+        if (!base) {
+            throw new Error(`Front matter schema for type "${name}" extends unknown type "${schema['x-extends']}"`);
+        }
+
+        const { 'x-extends': parent, ...own } = schema;
+        return mergeConfig(this.getSchema(parent, [...seen, name]), own);
+    }
+
+    /**
+     * Values for x-enumFrom: the catalog's products and the platforms of any of them
+     */
+    getAllowedValues(source) {
+        if (!this.allowedValues) {
+            const products = this.catalog.getProducts();
+            const platforms = new Set(products.flatMap(product => this.catalog.getPlatforms(product)));
+            this.allowedValues = { products, platforms: [...platforms].sort() };
+        }
+
+        if (!this.allowedValues[source]) {
+            throw new Error(`Unknown x-enumFrom source "${source}" (expected products or platforms)`);
+        }
+        return this.allowedValues[source];
+    }
+
+    /**
+     * Validate front matter data ({ key: value }) against the definition for its type
+     * Returns [{ keyword, field, message }]; keyword is the schema keyword that failed
+     */
+    validate(data) {
+        const schema = this.getSchema(data.type);
+        return schema ? this.validateValue(data, schema, '') : [];
+    }
+
+    /**
+     * Validate one value against a schema node
+     */
+    validateValue(value, schema, field) {
+        const problems = [];
+        const name = field || 'front matter';
+        const fail = (keyword, message) => problems.push({ keyword, field, message });
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            fail('type', `Field ${name} must be ${[].concat(schema.type).join(' or ')}, got ${FrontMatterSchema.typeOf(value)}: ${JSON.stringify(value)}`);
+            return problems;
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            fail('const', `Field ${name} must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail('enum', `Field ${name} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+        }
+        if (schema['x-enumFrom']) {
+            const allowed = this.getAllowedValues(schema['x-enumFrom']);
+            if (allowed.length > 0 && !allowed.includes(value)) {
+                fail('x-enumFrom', `Field ${name} has unknown value ${JSON.stringify(value)} (known ${schema['x-enumFrom']}: ${allowed.join(', ')})`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                fail('minLength', schema.minLength === 1 ? `Field ${name} must not be empty` : `Field ${name} must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail('maxLength', `Field ${name} must be at most ${schema.maxLength} characters (is ${value.length})`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                fail('pattern', `Field ${name} must match ${schema.pattern}: ${value}`);
+            }
+            if (schema.format === 'date' && !DATE_FORMAT.test(value)) {
+                fail('format', `Invalid date format for ${name}: ${value} (should be YYYY-MM-DD)`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail('minimum', `Field ${name} must be at least ${schema.minimum}, got ${value}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail('maximum', `Field ${name} must be at most ${schema.maximum}, got ${value}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail('minItems', `Field ${name} must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail('maxItems', `Field ${name} must have at most ${schema.maxItems} items`);
+            }
+            if (schema.uniqueItems) {
+                const duplicates = value.filter((item, index) => value.indexOf(item) !== index);
+                if (duplicates.length > 0) {
+                    fail('uniqueItems', `Field ${name} has duplicate items: ${[...new Set(duplicates)].join(', ')}`);
+                }
+            }
+            if (schema.items) {
+                value.forEach((item, index) => problems.push(...this.validateValue(item, schema.items, `${name}[${index}]`)));
+            }
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            problems.push(...this.validateObject(value, schema, field));
+        }
+
+        return problems;
+    }
+
+    /**
+     * Validate the keys of an object: required, properties, patternProperties,
+     * additionalProperties and x-sequence
+     */
+    validateObject(value, schema, field) {
+        const problems = [];
+        const prefix = field ? `${field}.` : '';
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                problems.push({ keyword: 'required', field: `${prefix}${key}`, message: `Missing required field: ${prefix}${key}` });
+            }
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            const schemas = [];
+            if (schema.properties && schema.properties[key]) {
+                schemas.push(schema.properties[key]);
+            }
+            for (const [pattern, patternSchema] of Object.entries(schema.patternProperties || {})) {
+                if (new RegExp(pattern, 'u').test(key)) schemas.push(patternSchema);
+            }
+
+            if (schemas.length === 0 && schema.additionalProperties === false) {
+                problems.push({ keyword: 'additionalProperties', field: `${prefix}${key}`, message: `Unknown field: ${prefix}${key}` });
+            } else if (schemas.length === 0 && typeof schema.additionalProperties === 'object') {
+                schemas.push(schema.additionalProperties);
+            }
+
+            // A null value is an empty field; `required` already reports it when needed
+            if (item !== null) {
+                schemas.forEach(itemSchema => problems.push(...this.validateValue(item, itemSchema, `${prefix}${key}`)));
+            }
+        }
+
+        const sequence = schema['x-sequence'];
+        if (sequence) {
+            const pattern = new RegExp(sequence.pattern, 'u');
+            const numbers = Object.keys(value)
+                .map(key => key.match(pattern))
+                .filter(Boolean)
+                .map(match => Number(match[1]))
+                .sort((a, b) => a - b);
+            const start = sequence.start === undefined ? 1 : sequence.start;
+
+            numbers.forEach((number, index) => {
+                if (number !== start + index) {
+                    const key = Object.keys(value).find(entry => (entry.match(pattern) || [])[1] === String(number));
+                    problems.push({
+                        keyword: 'x-sequence',
+                        field: `${prefix}${key}`,
+                        message: `Field ${prefix}${key} breaks the numbering: expected number ${start + index}`
+                    });
+                }
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check a value against a JSON Schema type name (or a list of them)
+     */
+    matchesType(value, type) {
+        return [].concat(type).some(name => {
+            switch (name) {
+                case 'string': return typeof value === 'string';
+                case 'integer': return Number.isInteger(value);
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                case 'boolean': return typeof value === 'boolean';
+                case 'array': return Array.isArray(value);
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'null': return value === null;
+                default: throw new Error(`Unknown type "${name}" in front matter schema`);
+            }
+        });
+    }
+
+    /**
+     * JSON Schema type name of a value
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+}
+
+FrontMatterSchema.DEFAULT_SCHEMA_PATH = DEFAULT_SCHEMA_PATH;
+
+module.exports = FrontMatterSchema;
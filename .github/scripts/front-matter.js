@@ -0,0 +1,594 @@
+#!/usr/bin/env node
+
+/**
+ * Front Matter
+ *
+ * Parses YAML (---) and TOML (+++) front matter into plain values and writes it
+ * back round-trip safe: key order, comments, blank lines and quoting style are
+ * kept, and only the fields that were changed through set() are re-rendered.
+ *
+ * YAML is read with the Document API of the `yaml` package, so a changed field is
+ * rendered from its own node and keeps its quoting, flow style and comment. TOML
+ * is read by a small reader covering what Hugo writes: basic/literal (multi-line)
+ * strings, numbers, booleans, dates, arrays, inline tables and [tables].
+ *
+ * Dates are returned as strings, exactly as written.
+ */
+
+const YAML = require('yaml');
+
+const TOML_KEY = /^[ \t]*([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*|"(?:[^"\\]|\\.)*"|'[^']*')[ \t]*=[ \t]*/;
+const TOML_TABLE_LINE = /^[ \t]*(\[\[?)[ \t]*([^[\]]+?)[ \t]*\]\]?[ \t]*(#.*)?$/;
+const TOML_DATE = /^\d{4}-\d{2}-\d{2}([T ][0-9:.+\-Z]+)?$/;
+const YAML_INLINE_TYPES = [YAML.Scalar.PLAIN, YAML.Scalar.QUOTE_DOUBLE, YAML.Scalar.QUOTE_SINGLE];
+
+/**
+ * Position after the line that contains pos (just pos when it already starts a line)
+ */
+function lineEnd(text, pos) {
+    if (pos > 0 && text[pos - 1] === '\n') return pos;
+    const newline = text.indexOf('\n', pos);
+    return newline === -1 ? text.length : newline + 1;
+}
+
+/**
+ * Column of a position within its line
+ */
+function columnOf(text, pos) {
+    return pos - text.lastIndexOf('\n', pos - 1) - 1;
+}
+
+/**
+ * Remove the quotes around a quoted key
+ */
+function unquoteKey(key) {
+    if (key.startsWith('"')) return JSON.parse(key);
+    if (key.startsWith("'")) return key.slice(1, -1);
+    return key;
+}
+
+/**
+ * Escape a string for a basic (double-quoted) TOML string
+ */
+function escapeBasic(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t')
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Resolve the escapes of a basic TOML string
+ */
+function unescapeBasic(text) {
+    const escapes = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+    return text.replace(/\\(?:u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|([btnfr"\\])|[ \t]*\n\s*)/g,
+        (match, hex4, hex8, code) => {
+            if (hex4 || hex8) return String.fromCodePoint(parseInt(hex4 || hex8, 16));
+            return code ? escapes[code] : '';
+        });
+}
+
+/**
+ * Convert a bare TOML value (number, boolean, date) to a JS value
+ */
+function coerceTomlBare(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^[-+]?(\d[\d_]*)(\.\d[\d_]*)?([eE][-+]?\d+)?$/.test(text)) return Number(text.replace(/_/g, ''));
+    if (/^0x[0-9a-fA-F_]+$/.test(text)) return parseInt(text.replace(/_/g, '').substring(2), 16);
+    if (/^0o[0-7_]+$/.test(text)) return parseInt(text.replace(/_/g, '').substring(2), 8);
+    if (/^0b[01_]+$/.test(text)) return parseInt(text.replace(/_/g, '').substring(2), 2);
+    if (TOML_DATE.test(text) || /^\d{2}:\d{2}/.test(text)) return text;
+    throw new Error(`Invalid TOML value: ${text}`);
+}
+
+/**
+ * Skip whitespace, line breaks and # comments inside a TOML array
+ */
+function skipTomlSpace(cursor) {
+    const match = cursor.text.slice(cursor.pos).match(/^(?:\s|#[^\n]*)*/);
+    cursor.pos += match[0].length;
+}
+
+/**
+ * Read a TOML value at cursor.pos ({ text, pos }) and move the cursor past it
+ */
+function readTomlValue(cursor) {
+    const rest = cursor.text.slice(cursor.pos);
+    const fail = () => {
+        throw new Error(`Invalid TOML value: ${rest.split('\n')[0]}`);
+    };
+
+    for (const delimiter of ['"""', "'''"]) {
+        if (rest.startsWith(delimiter)) {
+            // Up to two quotes may directly precede the closing delimiter
+            const match = rest.match(delimiter === '"""' ? /^"""\n?((?:[^\\]|\\[\s\S])*?"{0,2})"""(?!")/ : /^'''\n?([\s\S]*?'{0,2})'''(?!')/);
+            if (!match) fail();
+            cursor.pos += match[0].length;
+            return delimiter === '"""' ? unescapeBasic(match[1]) : match[1];
+        }
+    }
+
+    if (rest.startsWith('"') || rest.startsWith("'")) {
+        const match = rest.match(rest[0] === '"' ? /^"((?:[^"\\\n]|\\.)*)"/ : /^'([^'\n]*)'/);
+        if (!match) fail();
+        cursor.pos += match[0].length;
+        return rest[0] === '"' ? unescapeBasic(match[1]) : match[1];
+    }
+
+    if (rest.startsWith('[')) {
+        const items = [];
+        cursor.pos++;
+        for (skipTomlSpace(cursor); cursor.text[cursor.pos] !== ']'; skipTomlSpace(cursor)) {
+            items.push(readTomlValue(cursor));
+            skipTomlSpace(cursor);
+            if (cursor.text[cursor.pos] === ',') cursor.pos++;
+            else if (cursor.text[cursor.pos] !== ']') fail();
+        }
+        cursor.pos++;
+        return items;
+    }
+
+    if (rest.startsWith('{')) {
+        const table = {};
+        cursor.pos++;
+        for (skipTomlSpace(cursor); cursor.text[cursor.pos] !== '}'; skipTomlSpace(cursor)) {
+            const keyMatch = cursor.text.slice(cursor.pos).match(TOML_KEY);
+            if (!keyMatch) fail();
+            cursor.pos += keyMatch[0].length;
+            table[unquoteKey(keyMatch[1])] = readTomlValue(cursor);
+            skipTomlSpace(cursor);
+            if (cursor.text[cursor.pos] === ',') cursor.pos++;
+            else if (cursor.text[cursor.pos] !== '}') fail();
+        }
+        cursor.pos++;
+        return table;
+    }
+
+    const bare = rest.match(/^[^\s,\]}#]+(?:[ T]\d[0-9:.+\-Z]*)?/);
+    if (!bare) fail();
+    cursor.pos += bare[0].length;
+    return coerceTomlBare(bare[0]);
+}
+
+/**
+ * Render a value in TOML, honouring the original quote style for strings
+ */
+function renderTomlValue(value, quote = '"') {
+    if (Array.isArray(value)) return `[${value.map(item => renderTomlValue(item, quote)).join(', ')}]`;
+    if (value && typeof value === 'object') {
+        return `{ ${Object.entries(value).map(([key, item]) => `${renderTomlKey(key)} = ${renderTomlValue(item, quote)}`).join(', ')} }`;
+    }
+    if (value === null || value === undefined) return '""';
+    if (typeof value !== 'string') return String(value);
+
+    // Bare values (dates) stay bare when they still look like a date
+    if (quote === '' && TOML_DATE.test(value)) return value;
+    if (quote === "'" && !/['\n\r]/.test(value)) return `'${value}'`;
+    if (quote === "'''" && !value.includes("'''")) return `'''${value}'''`;
+    if (quote === '"""') return `"""${value.replace(/\\/g, '\\\\').replace(/"""/g, '""\\"')}"""`;
+    return `"${escapeBasic(value)}"`;
+}
+
+function renderTomlKey(key) {
+    return /^[A-Za-z0-9_-]+$/.test(key) ? key : `"${escapeBasic(key)}"`;
+}
+
+/**
+ * Build a YAML node for a value, styled like an existing node: scalars keep their
+ * quote type and collections their flow style, comment and item quoting
+ */
+function createYamlNode(value, like, own) {
+    const node = new YAML.Document().createNode(value);
+    const inlineType = type => (own || YAML_INLINE_TYPES.includes(type) ? type : undefined);
+
+    if (YAML.isScalar(node)) {
+        if (typeof value === 'string') {
+            node.type = (YAML.isScalar(like) && inlineType(like.type)) || (own ? undefined : YAML.Scalar.QUOTE_DOUBLE);
+        }
+    } else if (YAML.isCollection(like)) {
+        node.flow = like.flow;
+        const itemLike = like.items.map(item => (YAML.isPair(item) ? item.value : item)).find(item => YAML.isScalar(item));
+        const items = node.items.map(item => (YAML.isPair(item) ? item.value : item));
+        for (const item of items) {
+            if (YAML.isScalar(item) && typeof item.value === 'string' && itemLike && YAML_INLINE_TYPES.includes(itemLike.type)) {
+                item.type = itemLike.type;
+            }
+        }
+    } else if (YAML.isSeq(node)) {
+        node.flow = true;
+    }
+
+    if (own && like) {
+        node.comment = like.comment;
+    }
+    return node;
+}
+
+/**
+ * Format adapters: parse the text between the delimiters into fields
+ * ({ key, value, start, end } in document order) and render a changed field
+ */
+const FORMATS = {
+    yaml: {
+        delimiter: '---',
+        parse(text) {
+            const doc = YAML.parseDocument(text);
+            if (doc.errors.length > 0) {
+                throw new Error(`Invalid YAML front matter: ${doc.errors[0].message}`);
+            }
+            if (doc.contents !== null && !YAML.isMap(doc.contents)) {
+                throw new Error('YAML front matter is not a mapping');
+            }
+
+            const pairs = doc.contents ? doc.contents.items : [];
+            const fields = pairs.map(pair => {
+                if (!YAML.isScalar(pair.key)) {
+                    throw new Error('Unsupported YAML front matter key');
+                }
+                const nodeEnd = pair.value ? pair.value.range[2] : pair.key.range[2];
+                return {
+                    key: String(pair.key.value),
+                    value: YAML.isNode(pair.value) ? pair.value.toJS(doc) : pair.value,
+                    start: pair.key.range[0],
+                    end: lineEnd(text, nodeEnd),
+                    pair
+                };
+            });
+
+            // Render changed sequences with the indentation and padding the document already uses
+            const options = { lineWidth: 0, indentSeq: true, flowCollectionPadding: false };
+            const blockSequence = pairs.find(pair => YAML.isSeq(pair.value) && !pair.value.flow);
+            if (blockSequence) {
+                options.indentSeq = columnOf(text, blockSequence.value.range[0]) > columnOf(text, blockSequence.key.range[0]);
+            }
+            const flowCollection = pairs.find(pair => YAML.isCollection(pair.value) && pair.value.flow && pair.value.items.length > 0);
+            if (flowCollection) {
+                options.flowCollectionPadding = text[flowCollection.value.range[0] + 1] === ' ';
+            }
+
+            return { fields, options };
+        },
+        render(field, options) {
+            const own = Boolean(field.pair);
+            const like = own ? field.pair.value : (field.like && field.like.pair ? field.like.pair.value : null);
+            const key = own ? field.pair.key.clone() : new YAML.Scalar(field.key);
+            // Comments above the field are kept verbatim in the text before it
+            key.commentBefore = undefined;
+            key.spaceBefore = false;
+
+            const doc = new YAML.Document();
+            doc.contents = new YAML.YAMLMap();
+            doc.contents.items.push(new YAML.Pair(key, createYamlNode(field.value, like, own)));
+            return doc.toString(options).replace(/\n$/, '');
+        }
+    },
+
+    toml: {
+        delimiter: '+++',
+        parse(text) {
+            const fields = [];
+            let table = null;
+            let pos = 0;
+
+            while (pos < text.length) {
+                const end = text.indexOf('\n', pos) === -1 ? text.length : text.indexOf('\n', pos) + 1;
+                const line = text.slice(pos, end).replace(/\n$/, '');
+                const header = line.match(TOML_TABLE_LINE);
+
+                if (header) {
+                    table = { key: header[2], value: {}, start: pos, end, header: line, table: true, arrayTable: header[1] === '[[' };
+                    fields.push(table);
+                    pos = end;
+                    continue;
+                }
+                if (line.trim() === '' || line.trim().startsWith('#')) {
+                    pos = end;
+                    continue;
+                }
+
+                const keyMatch = line.match(TOML_KEY);
+                if (!keyMatch) {
+                    throw new Error(`Invalid TOML front matter line: ${line}`);
+                }
+
+                const cursor = { text, pos: pos + keyMatch[0].length };
+                const valueStart = cursor.pos;
+                const value = readTomlValue(cursor);
+                const valueEnd = lineEnd(text, cursor.pos);
+                const comment = text.slice(cursor.pos, valueEnd).replace(/\n$/, '');
+                if (comment.trim() !== '' && !comment.trim().startsWith('#')) {
+                    throw new Error(`Invalid TOML front matter line: ${line}`);
+                }
+
+                const key = unquoteKey(keyMatch[1]);
+                if (table) {
+                    table.value[key] = value;
+                    table.end = valueEnd;
+                } else {
+                    const valueText = text.slice(valueStart, cursor.pos);
+                    const quote = valueText.match(/^(?:\[[\s,]*)?("""|'''|"|')/);
+                    const itemIndent = valueText.match(/^\[[ \t]*(?:#[^\n]*)?\n([ \t]*)/);
+                    const style = {
+                        quote: quote ? quote[1] : '',
+                        multiline: Array.isArray(value) && valueText.includes('\n'),
+                        itemIndent: itemIndent ? itemIndent[1] : '  ',
+                        comment
+                    };
+                    fields.push({ key, value, start: pos, end: valueEnd, style });
+                }
+                pos = valueEnd;
+            }
+
+            return { fields, options: {} };
+        },
+        render(field) {
+            if (field.table) {
+                const lines = Object.entries(field.value || {}).map(([name, item]) => `${renderTomlKey(name)} = ${renderTomlValue(item)}`);
+                return [field.header || `[${field.key}]`, ...lines].join('\n');
+            }
+
+            const like = field.like && field.like.style && !Array.isArray(field.like.value) ? field.like.style : null;
+            // New fields borrow the neighbour's quotes, but not its multi-line string form
+            const style = field.style || { quote: like ? like.quote.charAt(0) : '"', comment: '' };
+            const key = renderTomlKey(field.key);
+
+            if (style.multiline && Array.isArray(field.value) && field.value.length > 0) {
+                const items = field.value.map(item => `${style.itemIndent}${renderTomlValue(item, style.quote || '"')},`);
+                return [`${key} = [`, ...items, `]${style.comment}`].join('\n');
+            }
+
+            const quote = Array.isArray(field.value) && !style.quote ? '"' : style.quote;
+            return `${key} = ${renderTomlValue(field.value, quote)}${style.comment}`;
+        }
+    }
+};
+
+class FrontMatter {
+    constructor({ format, eol, openLine, closeLine, closeEol, inner, lineCount, body, bodyOffset, bom = '' }) {
+        this.format = format;
+        this.bom = bom;
+        this.eol = eol;
+        this.openLine = openLine;
+        this.closeLine = closeLine;
+        this.closeEol = closeEol;
+        this.inner = inner;
+        this.lineCount = lineCount;
+        this.body = body;
+        this.bodyOffset = bodyOffset;
+        this.changed = false;
+
+        const { fields, options } = FORMATS[format].parse(inner);
+        this.fields = fields;
+        this.options = options;
+
+        // Comments and blank lines travel with the field below them
+        let previousEnd = 0;
+        for (const field of fields) {
+            field.before = inner.slice(previousEnd, field.start);
+            previousEnd = field.end;
+        }
+        this.trailer = inner.slice(previousEnd);
+    }
+
+    /**
+     * Check whether content starts with a YAML or TOML front matter block
+     */
+    static hasFrontMatter(content) {
+        try {
+            FrontMatter.parse(content);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse a markdown document with front matter
+     */
+    static parse(content) {
+        const text = content.replace(/^﻿/, '');
+        const firstLineEnd = text.indexOf('\n');
+        const firstLine = (firstLineEnd === -1 ? text : text.substring(0, firstLineEnd)).replace(/\r$/, '');
+        const format = Object.keys(FORMATS).find(key => firstLine.trimEnd() === FORMATS[key].delimiter);
+
+        if (!format || firstLineEnd === -1) {
+            throw new Error('No front matter found in file');
+        }
+
+        const eol = text[firstLineEnd - 1] === '\r' ? '\r\n' : '\n';
+        const delimiter = FORMATS[format].delimiter;
+        const lines = [];
+        let pos = firstLineEnd + 1;
+
+        while (pos <= text.length) {
+            const lineEnd = text.indexOf('\n', pos);
+            const rawLine = lineEnd === -1 ? text.substring(pos) : text.substring(pos, lineEnd);
+            const line = rawLine.replace(/\r$/, '');
+
+            if (line.trimEnd() === delimiter) {
+                const closeEol = lineEnd === -1 ? '' : text.substring(pos + line.length, lineEnd + 1);
+                const bodyStart = lineEnd === -1 ? text.length : lineEnd + 1;
+
+                return new FrontMatter({
+                    format,
+                    eol,
+                    openLine: firstLine,
+                    closeLine: line,
+                    closeEol,
+                    inner: lines.join('\n'),
+                    lineCount: lines.length,
+                    body: text.substring(bodyStart),
+                    bom: content.substring(0, content.length - text.length),
+                    bodyOffset: bodyStart + (content.length - text.length)
+                });
+            }
+
+            lines.push(line);
+            if (lineEnd === -1) break;
+            pos = lineEnd + 1;
+        }
+
+        throw new Error('Unterminated front matter block');
+    }
+
+    /**
+     * Build a front matter document from the text between the delimiters
+     */
+    static fromBlock(inner, format = 'yaml', body = '') {
+        const delimiter = FORMATS[format].delimiter;
+        return FrontMatter.parse(`${delimiter}\n${inner}\n${delimiter}\n${body}`);
+    }
+
+    /**
+     * Get all fields as a plain object
+     */
+    get data() {
+        const data = {};
+        for (const field of this.fields) {
+            if (field.arrayTable) {
+                data[field.key] = [...(data[field.key] || []), field.value];
+            } else {
+                data[field.key] = field.value;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Get the field names in document order
+     */
+    keys() {
+        return this.fields.filter(field => !field.arrayTable).map(field => field.key);
+    }
+
+    /**
+     * Find a top-level field
+     */
+    findField(key) {
+        return this.fields.find(field => field.key === key && !field.arrayTable) || null;
+    }
+
+    /**
+     * Check whether a field exists
+     */
+    has(key) {
+        return this.findField(key) !== null;
+    }
+
+    /**
+     * Get a field value (undefined when the field is missing)
+     */
+    get(key) {
+        const field = this.findField(key);
+        return field ? field.value : undefined;
+    }
+
+    /**
+     * Set a field value, keeping the field's position and quoting style
+     * New fields are inserted after options.after (if present) or at the end,
+     * using the quoting style of that neighbouring field
+     */
+    set(key, value, options = {}) {
+        const field = this.findField(key);
+        this.changed = true;
+
+        if (field) {
+            field.value = value;
+            field.dirty = true;
+            return this;
+        }
+
+        if (this.fields.some(entry => entry.arrayTable && entry.key === key)) {
+            throw new Error(`Cannot update TOML array of tables "${key}"`);
+        }
+
+        const after = options.after ? this.findField(options.after) : null;
+        const like = after || [...this.fields].reverse().find(entry => !entry.table && (entry.value === null || typeof entry.value !== 'object'));
+        const newField = { key, value, like, before: '', dirty: true };
+
+        if (after) {
+            this.fields.splice(this.fields.indexOf(after) + 1, 0, newField);
+        } else {
+            // TOML fields must come before the first [table]
+            const firstTable = this.fields.findIndex(entry => entry.table);
+            this.fields.splice(firstTable === -1 ? this.fields.length : firstTable, 0, newField);
+        }
+
+        return this;
+    }
+
+    /**
+     * Remove a field
+     */
+    remove(key) {
+        const field = this.findField(key);
+        if (field) {
+            this.fields.splice(this.fields.indexOf(field), 1);
+            this.changed = true;
+        }
+        return this;
+    }
+
+    /**
+     * Render the text between the delimiters: unchanged fields, comments and blank
+     * lines are copied from the original, changed and new fields are rendered
+     */
+    render() {
+        const adapter = FORMATS[this.format];
+        let text = '';
+        const startLine = () => {
+            if (text && !text.endsWith('\n')) text += '\n';
+        };
+
+        for (const field of this.fields) {
+            if (field.before) {
+                startLine();
+                text += field.before;
+            }
+            startLine();
+            if (!field.dirty) {
+                text += this.inner.slice(field.start, field.end);
+            } else {
+                text += adapter.render(field, this.options);
+                if (field.end !== undefined && this.inner[field.end - 1] === '\n') text += '\n';
+            }
+        }
+
+        if (this.trailer) {
+            startLine();
+            text += this.trailer;
+        }
+        return text;
+    }
+
+    /**
+     * Get the text between the delimiters (unchanged fields are kept verbatim)
+     */
+    get raw() {
+        const text = this.changed ? this.render() : this.inner;
+        return this.eol === '\n' ? text : text.replace(/\n/g, this.eol);
+    }
+
+    /**
+     * Render the front matter block including delimiters, without the body
+     */
+    renderBlock() {
+        const raw = this.raw;
+        const empty = raw === '' && (this.changed ? this.fields.length === 0 : this.lineCount === 0);
+        return `${this.openLine}${this.eol}${raw}${empty ? '' : this.eol}${this.closeLine}`;
+    }
+
+    /**
+     * Render the whole document: front matter block followed by the body
+     */
+    toString() {
+        return `${this.bom}${this.renderBlock()}${this.closeEol}${this.body}`;
+    }
+}
+
+module.exports = FrontMatter;
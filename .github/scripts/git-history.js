@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Git History Index
+ *
+ * Builds a path -> last commit (sha, dates, author) map from a single
+ * `git log --name-status` walk instead of one `git log -1` per file.
+ * The map is cached on disk per HEAD commit.
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = path.resolve(__dirname, '.cache');
+const CACHE_PREFIX = 'git-history-';
+const RECORD_MARKER = '\x1e';
+
+// One instance per repository root so every script in a process shares the map
+const instances = new Map();
+
+class GitHistory {
+    constructor(repoRoot = path.resolve(__dirname, '../../')) {
+        this.repoRoot = repoRoot;
+        this.head = null;
+        this.index = null;
+    }
+
+    /**
+     * Get the shared index for a repository
+     */
+    static shared(repoRoot = path.resolve(__dirname, '../../')) {
+        if (!instances.has(repoRoot)) {
+            instances.set(repoRoot, new GitHistory(repoRoot));
+        }
+        return instances.get(repoRoot);
+    }
+
+    /**
+     * Run a git command in the repository root
+     */
+    git(args) {
+        return execSync(`git -c core.quotePath=false ${args}`, {
+            cwd: this.repoRoot,
+            encoding: 'utf8',
+            maxBuffer: 512 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+    }
+
+    /**
+     * Get the current HEAD sha
+     */
+    getHead() {
+        return this.git('rev-parse HEAD').trim();
+    }
+
+    /**
+     * Walk the full history once and record the newest commit touching each path
+     */
+    build() {
+        const output = this.git(
+            `log --no-renames --name-status --format=${RECORD_MARKER}%H%x09%aI%x09%cI%x09%an%x09%ae`
+        );
+
+        const index = {};
+        let commit = null;
+
+        for (const line of output.split('\n')) {
+            if (line.startsWith(RECORD_MARKER)) {
+                const [sha, authorDate, commitDate, author, email] = line.substring(1).split('\t');
+                commit = { sha, authorDate, commitDate, author, email };
+                continue;
+            }
+
+            if (!commit || !line.trim()) {
+                continue;
+            }
+
+            // Status lines look like "M\tpath/to/file.md"
+            const [status, filePath] = line.split('\t');
+            if (!filePath || status === 'D') {
+                continue;
+            }
+
+            // Log output is newest first, so the first commit seen for a path is the latest
+            if (!index[filePath]) {
+                index[filePath] = commit;
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Load the index for the current HEAD from memory, disk cache or a fresh walk
+     * (HEAD is resolved once per process; scripts never commit while they run)
+     */
+    load() {
+        if (this.index) {
+            return this.index;
+        }
+
+        const head = this.getHead();
+        const cachePath = path.join(CACHE_DIR, `${CACHE_PREFIX}${head}.json`);
+
+        if (fs.existsSync(cachePath)) {
+            try {
+                this.index = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+                this.head = head;
+                return this.index;
+            } catch (error) {
+                console.warn(`Warning: Ignoring unreadable git history cache ${cachePath}: ${error.message}`);
+            }
+        }
+
+        const startTime = Date.now();
+        this.index = this.build();
+        this.head = head;
+        console.log(`Indexed git history for ${Object.keys(this.index).length} files in ${Date.now() - startTime}ms`);
+
+        this.writeCache(cachePath);
+        return this.index;
+    }
+
+    /**
+     * Save the index for this HEAD and drop caches for older HEADs
+     */
+    writeCache(cachePath) {
+        try {
+            fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+            for (const file of fs.readdirSync(CACHE_DIR)) {
+                if (file.startsWith(CACHE_PREFIX)) {
+                    fs.unlinkSync(path.join(CACHE_DIR, file));
+                }
+            }
+
+            fs.writeFileSync(cachePath, JSON.stringify(this.index));
+        } catch (error) {
+            console.warn(`Warning: Could not write git history cache: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the last commit touching a file (absolute or repository-relative path)
+     * Returns { sha, authorDate, commitDate, author, email } or null if the file was never committed
+     * Ages are measured from authorDate, which a rebase or cherry-pick keeps (commitDate moves)
+     */
+    getLastCommit(filePath) {
+        const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(this.repoRoot, filePath);
+        const relativePath = path.relative(this.repoRoot, absolutePath).split(path.sep).join('/');
+
+        return this.load()[relativePath] || null;
+    }
+
+    /**
+     * List the repository-relative paths changed on HEAD since it branched off base
+     * (e.g. "origin/master"); deleted files are left out
+     */
+    getChangedFiles(base) {
+        if (!/^[\w./-]+$/.test(base)) {
+            throw new Error(`Invalid git ref: ${base}`);
+        }
+        return this.git(`diff --name-only --diff-filter=d ${base}...HEAD`).split('\n').filter(Boolean);
+    }
+}
+
+module.exports = GitHistory;
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Identifiers
+ *
+ * Extracts technical identifiers from markdown prose (backticked spans, CamelCase
+ * and PascalCase names, dotted names like Aspose.Words, file extensions and
+ * version numbers) and compares the identifiers of an original and a rewritten
+ * text: removed, added and misspelled (close by edit distance).
+ */
+
+const IDENTIFIER_PATTERNS = [
+    ['dotted', /(?<![\w.])[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)+(?![\w])/g],
+    ['version', /(?<![\w.])v?\d+(?:\.\d+)+(?![\w])/g],
+    ['extension', /(?<![\w.])\.[A-Za-z][A-Za-z0-9]{1,5}(?![\w.])/g],
+    ['camelCase', /\b(?:[a-z]+[A-Z]|[A-Z][a-z0-9]+[A-Z]|[A-Z]{2,}(?!s\b)[a-z])\w*\b/g]
+];
+
+// Dotted abbreviations that are ordinary prose, not identifiers
+const NOT_IDENTIFIERS = new Set(['e.g', 'i.e', 'etc', 'vs', 'a.m', 'p.m']);
+
+const MISSPELLING_MIN_LENGTH = 4;       // shorter identifiers are never paired as misspellings
+const MISSPELLING_MAX_RATIO = 0.25;     // allowed edit distance as a share of the identifier length
+
+class Identifiers {
+    /**
+     * Extract identifiers in order of first appearance: [{ value, kind }]
+     * Link targets, shortcodes and URLs are skipped; backticked spans are taken whole
+     */
+    static extract(text) {
+        const found = new Map();
+        const add = (value, kind) => {
+            if (!found.has(value) && !NOT_IDENTIFIERS.has(value.toLowerCase())) {
+                found.set(value, { value, kind });
+            }
+        };
+
+        for (const match of text.matchAll(/`([^`\n]+)`/g)) {
+            add(match[1].trim(), 'code');
+        }
+
+        // Blank out what was handled (or must be ignored) so it is not matched again
+        let prose = text
+            .replace(/`[^`\n]+`/g, ' ')
+            .replace(/\{\{[<%][\s\S]*?[>%]\}\}/g, ' ')
+            .replace(/\]\([^)]*\)/g, '] ')
+            .replace(/https?:\/\/\S+/g, ' ');
+
+        for (const [kind, pattern] of IDENTIFIER_PATTERNS) {
+            prose = prose.replace(pattern, match => {
+                add(match, kind);
+                return ' ';
+            });
+        }
+
+        return [...found.values()];
+    }
+
+    /**
+     * Check whether a text mentions an identifier as a whole token
+     */
+    static mentions(text, value) {
+        const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\w.])${escaped}(?![\\w]|\\.\\w)`).test(text);
+    }
+
+    /**
+     * Levenshtein distance between two strings (case-sensitive)
+     */
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Compare the identifiers of an original and a rewritten text
+     * Returns { removed: [value], added: [value], misspelled: [{ original, rewritten, distance }] }
+     */
+    static compare(originalText, rewrittenText) {
+        const removed = Identifiers.extract(originalText)
+            .map(identifier => identifier.value)
+            .filter(value => !Identifiers.mentions(rewrittenText, value));
+        const added = Identifiers.extract(rewrittenText)
+            .map(identifier => identifier.value)
+            .filter(value => !Identifiers.mentions(originalText, value));
+
+        // Pair each removed identifier with the closest added one, if it is close enough
+        const misspelled = [];
+        for (const original of [...removed]) {
+            if (original.length < MISSPELLING_MIN_LENGTH) continue;
+
+            const maxDistance = Math.max(1, Math.floor(original.length * MISSPELLING_MAX_RATIO));
+            let closest = null;
+            for (const candidate of added) {
+                const distance = Identifiers.editDistance(original, candidate);
+                if (distance <= maxDistance && (!closest || distance < closest.distance)) {
+                    closest = { original, rewritten: candidate, distance };
+                }
+            }
+
+            if (closest) {
+                misspelled.push(closest);
+                removed.splice(removed.indexOf(original), 1);
+                added.splice(added.indexOf(closest.rewritten), 1);
+            }
+        }
+
+        return { removed, added, misspelled };
+    }
+}
+
+module.exports = Identifiers;
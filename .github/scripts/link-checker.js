@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const FrontMatter = require('./front-matter.js');
+const MarkdownBlocks = require('./markdown-blocks.js');
+
+/**
+ * Link Checker
+ *
+ * Resolves internal links offline against the pages under content/<lang>/:
+ * relative links, root and {{< site/baseurl >}} links, and Hugo ref/relref
+ * shortcodes. Anchors are checked against the heading ids of the target page.
+ * Every problem is reported with the line of the link.
+ */
+
+const BASEURL_PREFIX = /^\{\{[<%]-?\s*site\/baseurl\s*-?[>%]\}\}/;
+const REF_SHORTCODE = /\{\{([<%])-?\s*(relref|ref)\s+(?:path=)?(?:"([^"]*)"|'([^']*)'|([^\s>%]+))[^}]*?[>%]\}\}/g;
+const MARKDOWN_LINK = /(!?)\[[^\]\n]*\]\(\s*<?((?:\{\{[<%][\s\S]*?[>%]\}\}|[^)\s>])+)>?(?:\s+["'(][^)]*)?\)/g;
+const REFERENCE_DEFINITION = /^ {0,3}\[[^\]\n]+\]:\s*<?(\S+?)>?(?:\s|$)/gm;
+const HTML_HREF = /<a\s[^>]*?href=["']([^"']+)["']/gi;
+const EXTERNAL_TARGET = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+/**
+ * Decode %-escapes, keeping text that isn't valid escaping as written
+ */
+function decode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+class LinkChecker {
+    constructor(repoRoot = path.resolve(__dirname, '../..')) {
+        this.contentRoot = path.join(repoRoot, 'content');
+        this.pageIndexes = new Map();
+        this.anchorCache = new Map();
+        this.languages = null;
+    }
+
+    /**
+     * Language folders under content/
+     */
+    getLanguages() {
+        if (!this.languages) {
+            this.languages = fs.existsSync(this.contentRoot)
+                ? fs.readdirSync(this.contentRoot).filter(entry => fs.statSync(path.join(this.contentRoot, entry)).isDirectory())
+                : [];
+        }
+        return this.languages;
+    }
+
+    /**
+     * Get the language of a file under content/<lang>/ (null elsewhere)
+     */
+    getLanguage(filePath) {
+        const relative = path.relative(this.contentRoot, path.resolve(filePath)).split(path.sep);
+        return relative.length > 1 && relative[0] !== '..' ? relative[0] : null;
+    }
+
+    /**
+     * Normalise a URL path to /lower/case/segments/ (Hugo lower-cases page paths)
+     */
+    static normalizeUrl(urlPath) {
+        const segments = [];
+        for (const segment of urlPath.split('/')) {
+            if (segment === '' || segment === '.') continue;
+            if (segment === '..') {
+                segments.pop();
+            } else {
+                segments.push(decode(segment).toLowerCase());
+            }
+        }
+        return segments.length > 0 ? `/${segments.join('/')}/` : '/';
+    }
+
+    /**
+     * Index the pages of one language: Map of URL path -> file
+     * A page is served at its path under content/<lang>/ (bundles at their folder),
+     * unless front matter sets `url` or `slug`; `aliases` add further paths
+     */
+    getPageIndex(language) {
+        if (this.pageIndexes.has(language)) {
+            return this.pageIndexes.get(language);
+        }
+
+        const index = new Map();
+        const languageRoot = path.join(this.contentRoot, language);
+
+        const walk = current => {
+            for (const entry of fs.readdirSync(current).sort()) {
+                const fullPath = path.join(current, entry);
+                if (fs.statSync(fullPath).isDirectory()) {
+                    walk(fullPath);
+                } else if (entry.endsWith('.md')) {
+                    for (const url of this.getPageUrls(fullPath, languageRoot)) {
+                        if (!index.has(url)) index.set(url, fullPath);
+                    }
+                }
+            }
+        };
+
+        if (fs.existsSync(languageRoot)) {
+            walk(languageRoot);
+        }
+
+        this.pageIndexes.set(language, index);
+        return index;
+    }
+
+    /**
+     * URL paths a page is served at
+     */
+    getPageUrls(filePath, languageRoot) {
+        const relative = path.relative(languageRoot, filePath).split(path.sep).join('/').replace(/\.md$/, '');
+        const isBundle = /(?:^|\/)_?index$/.test(relative);
+        let url = isBundle ? relative.replace(/(?:^|\/)_?index$/, '') : relative;
+
+        let frontMatter = null;
+        try {
+            frontMatter = FrontMatter.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            // Pages without front matter keep their path
+        }
+
+        if (frontMatter && frontMatter.get('url')) {
+            url = String(frontMatter.get('url'));
+        } else if (frontMatter && frontMatter.get('slug') && !isBundle) {
+            url = url.replace(/[^/]*$/, String(frontMatter.get('slug')));
+        }
+
+        const aliases = frontMatter ? frontMatter.get('aliases') : null;
+        return [url, ...(Array.isArray(aliases) ? aliases : [])].map(entry => LinkChecker.normalizeUrl(String(entry)));
+    }
+
+    /**
+     * Turn heading text into its id the way Hugo does (GitHub style): lower case,
+     * spaces to dashes, punctuation dropped
+     */
+    static anchorize(text) {
+        const plain = text
+            .replace(/\{\{[<%][\s\S]*?[>%]\}\}/g, '')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/[*_`~]+(?=\S)|(?<=\S)[*_`~]+/g, '')
+            .trim()
+            .toLowerCase();
+
+        return [...plain].map(char => {
+            if (/\s/.test(char)) return '-';
+            return /[\p{L}\p{N}_-]/u.test(char) ? char : '';
+        }).join('');
+    }
+
+    /**
+     * Heading ids of a page file (cached)
+     */
+    getAnchors(filePath) {
+        if (!this.anchorCache.has(filePath)) {
+            this.anchorCache.set(filePath, LinkChecker.findAnchors(fs.readFileSync(filePath, 'utf8')));
+        }
+        return this.anchorCache.get(filePath);
+    }
+
+    /**
+     * Heading ids of a document: {#custom} ids, generated ids (duplicates get -1, -2, ...)
+     * and HTML id/name attributes
+     */
+    static findAnchors(content) {
+        let body = content;
+        try {
+            body = FrontMatter.parse(content).body;
+        } catch (error) {
+            // No front matter: the whole file is the body
+        }
+
+        const anchors = new Set();
+        const counts = new Map();
+        MarkdownBlocks.walk(MarkdownBlocks.parse(body), block => {
+            if (block.type !== 'heading') return;
+
+            const custom = block.title.match(/\{#([^}\s]+)\}\s*$/);
+            if (custom) {
+                anchors.add(custom[1]);
+                return;
+            }
+
+            const id = LinkChecker.anchorize(block.title);
+            const count = counts.get(id) || 0;
+            counts.set(id, count + 1);
+            anchors.add(count === 0 ? id : `${id}-${count}`);
+        });
+
+        for (const match of LinkChecker.blankCode(body).matchAll(/<[a-z][^>]*?\s(?:id|name)=["']([^"']+)["']/gi)) {
+            anchors.add(match[1]);
+        }
+
+        return anchors;
+    }
+
+    /**
+     * Replace code blocks and inline code with spaces, keeping offsets and line breaks
+     */
+    static blankCode(text) {
+        const blank = value => value.replace(/[^\n]/g, ' ');
+        let result = text;
+
+        MarkdownBlocks.walk(MarkdownBlocks.parse(text), block => {
+            if (block.type === 'code') {
+                result = result.substring(0, block.start) + blank(block.text) + result.substring(block.end);
+            }
+        });
+
+        return result
+            .replace(/`[^`\n]+`/g, blank)
+            .replace(/\{\{([<%])\/\*[\s\S]*?\*\/[>%]\}\}/g, blank);
+    }
+
+    /**
+     * Find the internal links of a document: [{ target, line, ref }]
+     * ref is 'ref' or 'relref' for Hugo ref shortcodes; external and asset links are left out
+     */
+    static extractLinks(content) {
+        // Front matter is not rendered, so links in it are not checked
+        let bodyOffset = 0;
+        try {
+            bodyOffset = FrontMatter.parse(content).bodyOffset;
+        } catch (error) {
+            // No front matter
+        }
+
+        const text = content.substring(0, bodyOffset).replace(/[^\n]/g, ' ') + LinkChecker.blankCode(content.substring(bodyOffset));
+        const lineOf = index => text.substring(0, index).split('\n').length;
+        const links = [];
+
+        for (const match of text.matchAll(REF_SHORTCODE)) {
+            links.push({ target: match[3] ?? match[4] ?? match[5], line: lineOf(match.index), ref: match[2] });
+        }
+
+        const addTarget = (target, index) => {
+            // ref shortcodes inside a link were collected above
+            if (/^\{\{[<%]-?\s*(?:rel)?ref\s/.test(target) || EXTERNAL_TARGET.test(target)) return;
+
+            const pathPart = target.replace(BASEURL_PREFIX, '').split(/[?#]/)[0];
+            const extension = path.posix.extname(pathPart);
+            if (extension && extension !== '.md') return;
+
+            links.push({ target, line: lineOf(index), ref: null });
+        };
+
+        for (const match of text.matchAll(MARKDOWN_LINK)) {
+            if (!match[1]) addTarget(match[2], match.index);
+        }
+        for (const match of text.matchAll(REFERENCE_DEFINITION)) {
+            addTarget(match[1], match.index);
+        }
+        for (const match of text.matchAll(HTML_HREF)) {
+            addTarget(match[1], match.index);
+        }
+
+        return links.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Find the page a URL path points to, allowing a leading language folder
+     * Returns { file, language } or null
+     */
+    findPage(urlPath, language) {
+        const normalized = LinkChecker.normalizeUrl(urlPath);
+        const file = this.getPageIndex(language).get(normalized);
+        if (file) {
+            return { file, language };
+        }
+
+        const [, prefix] = normalized.split('/');
+        if (prefix && this.getLanguages().includes(prefix)) {
+            const rest = normalized.substring(prefix.length + 1);
+            const prefixed = this.getPageIndex(prefix).get(rest);
+            return prefixed ? { file: prefixed, language: prefix } : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the file a ref/relref path points to: from the language root when it starts
+     * with /, else from the page's folder, else any page whose path ends with it
+     */
+    findRefPage(refPath, filePath, language) {
+        const languageRoot = path.join(this.contentRoot, language);
+        const base = refPath.startsWith('/') ? languageRoot : path.dirname(filePath);
+        const candidates = refPath.endsWith('.md')
+            ? [refPath]
+            : [`${refPath}.md`, `${refPath}/index.md`, `${refPath}/_index.md`];
+
+        for (const candidate of candidates) {
+            const resolved = path.join(base, candidate);
+            if (resolved.startsWith(languageRoot) && fs.existsSync(resolved) && fs.statSync(resolved).isFile()) {
+                return resolved;
+            }
+        }
+
+        const suffixes = candidates.map(candidate => `/${candidate.replace(/^\/+/, '')}`);
+        const matches = [...new Set(this.getPageIndex(language).values())]
+            .filter(file => suffixes.some(suffix => file.split(path.sep).join('/').endsWith(suffix)));
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Resolve one link of a page; returns null when it resolves, else the problem
+     * ownAnchors are the heading ids of the page being checked (its content may not be on disk yet)
+     */
+    checkLink({ target, ref }, filePath, language, ownAnchors) {
+        const hashIndex = target.indexOf('#');
+        const anchor = hashIndex === -1 ? null : decode(target.substring(hashIndex + 1));
+        const linkPath = (hashIndex === -1 ? target : target.substring(0, hashIndex)).split('?')[0];
+
+        let targetFile = null;
+        if (linkPath === '') {
+            targetFile = filePath;
+        } else if (ref) {
+            targetFile = this.findRefPage(linkPath, filePath, language);
+            if (!targetFile) {
+                return `${ref} target not found: ${target}`;
+            }
+        } else if (linkPath.endsWith('.md') && !BASEURL_PREFIX.test(linkPath) && !linkPath.startsWith('/')) {
+            targetFile = path.resolve(path.dirname(filePath), linkPath);
+            if (!fs.existsSync(targetFile)) {
+                return `Linked file not found: ${target}`;
+            }
+        } else {
+            let urlPath = linkPath.replace(BASEURL_PREFIX, '/');
+            if (!urlPath.startsWith('/')) {
+                // Relative URLs resolve against the page's own URL, which is a folder
+                const pageUrl = this.getPageUrls(filePath, path.join(this.contentRoot, language))[0];
+                urlPath = pageUrl + urlPath;
+            }
+
+            const page = this.findPage(urlPath, language);
+            if (!page) {
+                return `Link target not found: ${target}`;
+            }
+            targetFile = page.file;
+        }
+
+        const anchors = path.resolve(targetFile) === path.resolve(filePath) ? ownAnchors : this.getAnchors(targetFile);
+        if (anchor && !anchors.has(anchor)) {
+            return `Anchor #${anchor} not found on ${path.relative(this.contentRoot, targetFile).split(path.sep).join('/')}: ${target}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the internal links of a page's content: [{ line, target, message }]
+     * filePath places the page in the content tree (it need not exist yet, e.g. in dry runs)
+     */
+    checkContent(content, filePath) {
+        const language = this.getLanguage(filePath);
+        if (!language) {
+            return [];
+        }
+
+        const ownAnchors = LinkChecker.findAnchors(content);
+        return LinkChecker.extractLinks(content)
+            .map(link => ({ line: link.line, target: link.target, message: this.checkLink(link, filePath, language, ownAnchors) }))
+            .filter(problem => problem.message);
+    }
+}
+
+module.exports = LinkChecker;
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * LLM Cache
+ *
+ * Content-addressed on-disk cache for LLM answers, so a rerun of a failed job
+ * doesn't pay again for requests that already succeeded. Entries are keyed by a
+ * SHA-256 hash of (model, messages, temperature, max tokens), expire after a TTL,
+ * and the least recently used ones are evicted once the directory grows past its size limit.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+
+// Overridable via `llm.cache` in kb-workflows.config.json
+const DEFAULT_CACHE_CONFIG = {
+    enabled: true,
+    dir: '.cache/llm',          // relative to the scripts directory; restored between workflow runs
+    ttlHours: 336,              // 14 days
+    maxSizeMB: 100
+};
+
+class LLMCache {
+    constructor(config = DEFAULT_CACHE_CONFIG) {
+        this.config = { ...DEFAULT_CACHE_CONFIG, ...config };
+        this.dir = path.resolve(__dirname, this.config.dir);
+        this.ttl = this.config.ttlHours * 60 * 60 * 1000;
+        this.maxSize = this.config.maxSizeMB * 1024 * 1024;
+        this.size = null;
+        this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    }
+
+    /**
+     * Hash the parts of a request that determine the answer
+     * variant separates deliberately repeated requests (e.g. several rewrite candidates)
+     */
+    static key({ model, messages, temperature, maxTokens, variant = 0 }) {
+        const parts = { model, messages, temperature, maxTokens };
+        if (variant) {
+            parts.variant = variant;
+        }
+        return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    }
+
+    /**
+     * Path of an entry, sharded by the first two hex digits
+     */
+    entryPath(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+    }
+
+    /**
+     * Get a cached answer ({ text, usage, model, createdAt }) or null; expired and unreadable entries are removed
+     */
+    get(key) {
+        const entryPath = this.entryPath(key);
+
+        try {
+            if (fs.existsSync(entryPath)) {
+                const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+                if (entry.version === CACHE_VERSION && Date.now() - entry.createdAt <= this.ttl) {
+                    // Touch the file so eviction drops the least recently used entries first
+                    const now = new Date();
+                    fs.utimesSync(entryPath, now, now);
+                    this.stats.hits++;
+                    return entry;
+                }
+                this.remove(entryPath);
+            }
+        } catch (error) {
+            console.warn(`Warning: Ignoring unreadable LLM cache entry ${entryPath}: ${error.message}`);
+            this.remove(entryPath);
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    /**
+     * Store an answer ({ text, usage, model }) and evict old entries when the cache is too large
+     */
+    set(key, answer) {
+        const entryPath = this.entryPath(key);
+
+        try {
+            const data = JSON.stringify({ version: CACHE_VERSION, createdAt: Date.now(), ...answer });
+            const existing = fs.existsSync(entryPath) ? fs.statSync(entryPath).size : 0;
+
+            fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+            // Write to a temporary file first so an interrupted run never leaves half an entry
+            const tempPath = `${entryPath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, data);
+            fs.renameSync(tempPath, entryPath);
+
+            this.size = this.getSize() - existing + Buffer.byteLength(data);
+            this.stats.writes++;
+
+            if (this.size > this.maxSize) {
+                this.prune();
+            }
+        } catch (error) {
+            console.warn(`Warning: Could not write LLM cache entry: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the entries on disk: [{ path, size, mtime }]
+     */
+    listEntries() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.dir)
+            .map(shard => path.join(this.dir, shard))
+            .filter(shardPath => fs.statSync(shardPath).isDirectory())
+            .flatMap(shardPath => fs.readdirSync(shardPath)
+                .filter(file => file.endsWith('.json'))
+                .map(file => {
+                    const entryPath = path.join(shardPath, file);
+                    const stat = fs.statSync(entryPath);
+                    return { path: entryPath, size: stat.size, mtime: stat.mtimeMs };
+                }));
+    }
+
+    /**
+     * Total size of the entries in bytes (scanned once, then tracked)
+     */
+    getSize() {
+        if (this.size === null) {
+            this.size = this.listEntries().reduce((total, entry) => total + entry.size, 0);
+        }
+        return this.size;
+    }
+
+    /**
+     * Remove expired entries, then the least recently used ones until the cache fits its size limit
+     */
+    prune() {
+        const entries = this.listEntries().sort((a, b) => a.mtime - b.mtime);
+        const expiredBefore = Date.now() - this.ttl;
+        let size = entries.reduce((total, entry) => total + entry.size, 0);
+
+        for (const entry of entries) {
+            if (entry.mtime >= expiredBefore && size <= this.maxSize) {
+                break;
+            }
+            this.remove(entry.path);
+            size -= entry.size;
+            this.stats.evictions++;
+        }
+
+        this.size = size;
+    }
+
+    /**
+     * Delete an entry file, ignoring files that are already gone
+     */
+    remove(entryPath) {
+        try {
+            fs.unlinkSync(entryPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Warning: Could not remove LLM cache entry ${entryPath}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Hit/miss counts for reports
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? parseFloat(((this.stats.hits / lookups) * 100).toFixed(1)) : 0
+        };
+    }
+}
+
+LLMCache.DEFAULT_CACHE_CONFIG = DEFAULT_CACHE_CONFIG;
+
+module.exports = LLMCache;
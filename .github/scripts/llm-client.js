@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+
+/**
+ * LLM Client
+ *
+ * One chat-completion client for the rewriter and the translator, with adapters for
+ * OpenAI-compatible chat APIs (LiteLLM, OpenAI, vLLM), Ollama-style local servers and
+ * Anthropic-style messages APIs. Settings come from the `llm` section of
+ * kb-workflows.config.json and can be overridden with environment variables; every
+ * task (rewrite, seo, translate) can use its own provider, model and sampling settings.
+ * Answers are cached on disk by llm-cache.js; tokens, cost and the run budget are
+ * tracked by llm-usage.js.
+ */
+
+const fetch = require('node-fetch');
+const { loadConfig, mergeConfig } = require('./config.js');
+const LLMCache = require('./llm-cache.js');
+const LLMUsage = require('./llm-usage.js');
+
+// Overridable via the `llm` section of kb-workflows.config.json
+const DEFAULT_LLM_CONFIG = {
+    provider: 'openai',         // openai (any OpenAI-compatible chat API), ollama or anthropic
+    baseUrl: null,              // null uses the provider's default
+    model: null,                // required, e.g. set LLM_MODEL
+    apiKeyEnv: 'LLM_API_KEY',   // name of the environment variable holding the key (keys never go in the config file)
+    temperature: 0.7,
+    maxTokens: 1000,
+    maxRetries: 3,
+    retryDelay: 1000,           // ms before the second attempt, doubled for every further one
+    timeout: 120000,            // ms per request
+    tasks: {                    // { task: settings } merged over the ones above
+        rewrite: { temperature: 0.7, maxTokens: 1000 },
+        seo: { temperature: 0.7, maxTokens: 1000 },
+        translate: { temperature: 0.3, maxTokens: 2000 }
+    },
+    cache: LLMCache.DEFAULT_CACHE_CONFIG,
+    pricing: {},                // { model: { input, output } } in USD per million prompt/completion tokens
+    budget: LLMUsage.DEFAULT_BUDGET
+};
+
+// Environment variables that override the config file; LLM_<TASK>_MODEL etc. override a single task
+const ENV_OVERRIDES = {
+    provider: 'PROVIDER',
+    baseUrl: 'BASE_URL',
+    model: 'MODEL'
+};
+
+const NON_RETRYABLE_STATUSES = [400, 401, 403, 404, 422];     // retrying won't change the answer
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Provider adapters: turn messages into a request and a response into
+ * { text, reasoning, usage: { promptTokens, completionTokens } }
+ */
+const PROVIDERS = {
+    openai: {
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        requiresApiKey: true,
+        buildRequest(settings, messages) {
+            return {
+                url: `${settings.baseUrl}/chat/completions`,
+                headers: { 'Authorization': `Bearer ${settings.apiKey}` },
+                body: {
+                    model: settings.model,
+                    messages,
+                    temperature: settings.temperature,
+                    max_tokens: settings.maxTokens
+                }
+            };
+        },
+        parseResponse(data) {
+            const message = (data.choices && data.choices[0] && data.choices[0].message) || {};
+            const usage = data.usage || {};
+            return {
+                text: message.content,
+                reasoning: message.reasoning_content,
+                usage: { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 }
+            };
+        }
+    },
+
+    ollama: {
+        defaultBaseUrl: 'http://localhost:11434',
+        requiresApiKey: false,
+        buildRequest(settings, messages) {
+            return {
+                url: `${settings.baseUrl}/api/chat`,
+                headers: settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {},
+                body: {
+                    model: settings.model,
+                    messages,
+                    stream: false,
+                    options: { temperature: settings.temperature, num_predict: settings.maxTokens }
+                }
+            };
+        },
+        parseResponse(data) {
+            const message = data.message || {};
+            return {
+                text: message.content,
+                reasoning: message.thinking,
+                usage: { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 }
+            };
+        }
+    },
+
+    anthropic: {
+        defaultBaseUrl: 'https://api.anthropic.com',
+        requiresApiKey: true,
+        buildRequest(settings, messages) {
+            // System prompts are a separate field in the messages API
+            const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+            const body = {
+                model: settings.model,
+                messages: messages.filter(message => message.role !== 'system'),
+                temperature: settings.temperature,
+                max_tokens: settings.maxTokens
+            };
+            if (system) {
+                body.system = system;
+            }
+
+            return {
+                url: `${settings.baseUrl}/v1/messages`,
+                headers: { 'x-api-key': settings.apiKey, 'anthropic-version': ANTHROPIC_VERSION },
+                body
+            };
+        },
+        parseResponse(data) {
+            const blocks = Array.isArray(data.content) ? data.content : [];
+            const usage = data.usage || {};
+            return {
+                text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+                reasoning: blocks.filter(block => block.type === 'thinking').map(block => block.thinking).join('\n'),
+                usage: { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0 }
+            };
+        }
+    }
+};
+
+class LLMClient {
+    constructor(config = loadConfig('llm', DEFAULT_LLM_CONFIG), env = process.env) {
+        this.config = config;
+        this.env = env;
+        this.cache = config.cache && config.cache.enabled ? new LLMCache(config.cache) : null;
+        this.usage = new LLMUsage({ pricing: config.pricing, budget: this.getBudget() });
+    }
+
+    /**
+     * Run budget from the config, overridden by LLM_BUDGET_TOKENS / LLM_BUDGET_COST
+     */
+    getBudget() {
+        const budget = { ...LLMUsage.DEFAULT_BUDGET, ...this.config.budget };
+        const overrides = { maxTokens: 'LLM_BUDGET_TOKENS', maxCost: 'LLM_BUDGET_COST' };
+
+        for (const [key, name] of Object.entries(overrides)) {
+            if (this.env[name] !== undefined && this.env[name] !== '') {
+                budget[key] = Number(this.env[name]);
+            }
+            if (budget[key] !== null && !(Number.isFinite(budget[key]) && budget[key] > 0)) {
+                throw new Error(`Invalid LLM budget ${key}: ${budget[key]} (expected a positive number)`);
+            }
+        }
+
+        // Unpriced models count as free, so a cost cap without their prices would never trigger
+        if (budget.maxCost !== null) {
+            const pricing = this.config.pricing || {};
+            const models = [undefined, ...Object.keys(this.config.tasks || {})]
+                .map(task => this.resolveSettings(task).model)
+                .filter(model => model && !pricing[model]);
+            if (models.length > 0) {
+                const unpriced = [...new Set(models)];
+                throw new Error(`LLM budget maxCost is set but llm.pricing has no price for ${unpriced.join(', ')} (add e.g. "${unpriced[0]}": { "input": 0.5, "output": 1.5 } in USD per million tokens to the llm.pricing section of kb-workflows.config.json)`);
+            }
+        }
+
+        return budget;
+    }
+
+    /**
+     * Always call the API (--no-cache)
+     */
+    disableCache() {
+        this.cache = null;
+    }
+
+    /**
+     * Cache hit/miss counts for reports, or null when the cache is disabled
+     */
+    getCacheStats() {
+        return this.cache ? this.cache.getStats() : null;
+    }
+
+    /**
+     * Merge the settings for a task: defaults < config file < LLM_* env < task section < LLM_<TASK>_* env
+     */
+    resolveSettings(task) {
+        const { tasks = {}, cache, pricing, budget, ...base } = this.config;
+        const applyEnv = (settings, prefix) => {
+            for (const [key, suffix] of Object.entries(ENV_OVERRIDES)) {
+                settings[key] = this.env[`${prefix}${suffix}`] || settings[key];
+            }
+            return settings;
+        };
+
+        let settings = mergeConfig(applyEnv({ ...base }, 'LLM_'), task ? tasks[task] : undefined);
+        if (task) {
+            settings = applyEnv({ ...settings }, `LLM_${task.toUpperCase().replace(/-/g, '_')}_`);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Resolve the settings for a task (see resolveSettings)
+     * Throws when the provider is unknown or the model or a required API key is missing
+     */
+    getSettings(task) {
+        const settings = this.resolveSettings(task);
+        const adapter = PROVIDERS[settings.provider];
+        if (!adapter) {
+            throw new Error(`Unknown LLM provider "${settings.provider}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+        }
+        if (!settings.model) {
+            throw new Error(`No LLM model configured${task ? ` for task "${task}"` : ''} (set LLM_MODEL or llm.model in kb-workflows.config.json)`);
+        }
+
+        settings.baseUrl = (settings.baseUrl || adapter.defaultBaseUrl).replace(/\/+$/, '');
+        settings.apiKey = this.env[settings.apiKeyEnv] || null;
+        if (adapter.requiresApiKey && !settings.apiKey) {
+            throw new Error(`${settings.apiKeyEnv} environment variable is required for the ${settings.provider} LLM provider`);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Send a chat completion with retries (exponential backoff), or answer it from the cache
+     * options: { task, maxTokens, temperature, logDetails, fromReasoning, variant, refresh, cacheIf }
+     * fromReasoning(reasoning) may recover an answer when a model returns only reasoning;
+     * variant keeps repeated identical requests apart in the cache, refresh skips the cached answer
+     * and stores the new one, cacheIf(text) decides whether an answer is worth caching (rejected
+     * answers aren't, so a rerun asks the API again for exactly those)
+     * Every call is recorded in this.usage; throws an error with `budgetExhausted` set
+     * instead of calling the API once the run budget is spent
+     * Returns { text, usage: { promptTokens, completionTokens }, model, provider, cached }
+     */
+    async complete(messages, options = {}) {
+        const settings = this.getSettings(options.task);
+        if (options.maxTokens !== undefined) settings.maxTokens = options.maxTokens;
+        if (options.temperature !== undefined) settings.temperature = options.temperature;
+
+        const cacheKey = this.cache ? LLMCache.key({ ...settings, messages, variant: options.variant }) : null;
+        if (cacheKey && !options.refresh) {
+            const entry = this.cache.get(cacheKey);
+            if (entry) {
+                if (options.logDetails) {
+                    console.log(`🗄️  LLM answer served from cache (${cacheKey.slice(0, 12)})`);
+                }
+                this.usage.record({ task: options.task, model: entry.model, usage: entry.usage, cached: true });
+                return { text: entry.text, usage: entry.usage, model: entry.model, provider: settings.provider, cached: true };
+            }
+        }
+
+        this.usage.checkBudget();
+
+        const adapter = PROVIDERS[settings.provider];
+        const request = adapter.buildRequest(settings, messages);
+        const logDetails = Boolean(options.logDetails);
+
+        if (logDetails) {
+            this.logRequest(settings, request, messages);
+        }
+
+        for (let attempt = 1; attempt <= settings.maxRetries; attempt++) {
+            try {
+                const startTime = Date.now();
+                const response = await fetch(request.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...request.headers },
+                    body: JSON.stringify(request.body),
+                    timeout: settings.timeout
+                });
+                const responseTime = Date.now() - startTime;
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    if (logDetails) {
+                        console.log(`📥 LLM API ERROR RESPONSE (${responseTime}ms):`);
+                        console.log('Status:', response.status, response.statusText);
+                        console.log('Error:', errorText);
+                    }
+                    const error = new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
+                    error.retryable = !NON_RETRYABLE_STATUSES.includes(response.status);
+                    throw error;
+                }
+
+                const data = await response.json();
+                const result = adapter.parseResponse(data);
+                // Tokens are spent even when the answer turns out to be unusable
+                this.usage.record({ task: options.task, model: settings.model, usage: result.usage });
+
+                if (logDetails) {
+                    this.logResponse(result, responseTime);
+                }
+
+                let text = result.text;
+                if (!text && result.reasoning && options.fromReasoning) {
+                    if (logDetails) {
+                        console.log('🔍 No content found, extracting from reasoning content...');
+                    }
+                    text = options.fromReasoning(result.reasoning);
+                }
+
+                if (!text || typeof text !== 'string') {
+                    if (logDetails) {
+                        console.log('📥 LLM API INVALID RESPONSE FORMAT:');
+                        console.log('Response Data:', JSON.stringify(data, null, 2));
+                    }
+                    throw new Error('Invalid response format from LLM API - no content in response');
+                }
+
+                const answer = { text: text.trim(), usage: result.usage, model: settings.model };
+                if (cacheKey && (!options.cacheIf || options.cacheIf(answer.text))) {
+                    this.cache.set(cacheKey, answer);
+                }
+                return { ...answer, provider: settings.provider, cached: false };
+            } catch (error) {
+                console.error(`LLM API attempt ${attempt} failed: ${error.message}`);
+
+                if (attempt === settings.maxRetries || error.retryable === false) {
+                    throw new Error(`LLM API failed after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${error.message}`);
+                }
+
+                const delay = settings.retryDelay * Math.pow(2, attempt - 1);
+                if (logDetails) {
+                    console.log(`⏱️  Retrying in ${delay}ms...`);
+                }
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Print a request for troubleshooting (the API key is never printed)
+     */
+    logRequest(settings, request, messages) {
+        console.log('\n📤 LLM API REQUEST:');
+        console.log('Provider:', settings.provider);
+        console.log('Endpoint:', request.url);
+        console.log('Model:', settings.model);
+        console.log('Max Tokens:', settings.maxTokens);
+        console.log('Temperature:', settings.temperature);
+        console.log('Messages:');
+        messages.forEach((message, index) => {
+            console.log(`  [${index}] Role: ${message.role}`);
+            const preview = message.content.length > 200 ? message.content.substring(0, 200) + '...' : message.content;
+            console.log(`  [${index}] Content: ${preview}`);
+        });
+        console.log('');
+    }
+
+    /**
+     * Print a parsed response for troubleshooting
+     */
+    logResponse(result, responseTime) {
+        console.log(`📥 LLM API SUCCESS RESPONSE (${responseTime}ms):`);
+        const { promptTokens, completionTokens } = result.usage;
+        console.log('Tokens - Prompt:', promptTokens, 'Completion:', completionTokens, 'Total:', promptTokens + completionTokens);
+        const preview = result.text && result.text.length > 300 ? result.text.substring(0, 300) + '...' : result.text;
+        console.log('Response Content Preview:', preview);
+        console.log('Full Response Length:', result.text ? result.text.length : 0, 'characters');
+        console.log('');
+    }
+}
+
+LLMClient.DEFAULT_LLM_CONFIG = DEFAULT_LLM_CONFIG;
+LLMClient.PROVIDERS = PROVIDERS;
+
+module.exports = LLMClient;
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * LLM Output
+ *
+ * Cleans up and checks the text a model returned for a rewrite or translation.
+ * Safe wrappers (surrounding whitespace, quotes or a result tag around the whole
+ * answer) are stripped; chatter is flagged: preambles ("Here is the
+ * translation:", also in the target language), meta-commentary ("Note: ..."),
+ * reasoning, leaked prompt text and code fences the source didn't have. Phrases
+ * the source itself contains are never flagged.
+ */
+
+// Quote pairs that may wrap a whole answer
+const QUOTE_PAIRS = [['"', '"'], ["'", "'"], ['“', '”'], ['„', '“'], ['«', '»'], ['「', '」']];
+const RESULT_TAGS = /^<(translation|translated|rewrite|rewritten|output|result|answer|paragraph|text)>\s*([\s\S]*?)\s*<\/\1>$/i;
+
+// First lines (with their line break) that announce the answer instead of being part of it:
+// a lone "Sure!" line, or a line ending in a colon ("OK, here is the text:")
+const PREAMBLE_PATTERNS = [
+    /^(?:sure|certainly|of course|absolutely|okay|ok|great)[ \t,!.]*\n/i,
+    /^(?:sure|certainly|of course|absolutely|okay|ok|great)\b.{0,100}:\s*$/i,
+    /^(?:here(?:'s| is| are)|below is|the following is)\b.{0,100}:\s*$/i,
+    /^.{0,40}\b(?:rewritten|revised|improved|translated)\s+(?:paragraph|text|version|content|heading|title|description|list)\b.{0,40}:\s*$/i,
+    /^(?:\*\*)?(?:[A-Z][a-z]+\s+)?(?:translation|rewrite)(?:\*\*)?\s*:/
+];
+
+// The same announcements in the target languages of translations: openers that
+// precede a line ending in a colon ("Voici la traduction :") and "Translation:" labels;
+// unspaced languages don't separate the opener from the next word
+const LANGUAGE_PREAMBLES = {
+    ar: { openers: ['إليك', 'إليكم', 'فيما يلي', 'بالتأكيد', 'بالطبع'], labels: ['الترجمة', 'النص المترجم'] },
+    bg: { openers: ['ето', 'разбира се', 'със сигурност'], labels: ['превод'] },
+    cs: { openers: ['zde je', 'tady je', 'zde jsou', 'jistě', 'samozřejmě'], labels: ['překlad'] },
+    de: { openers: ['hier ist', 'hier sind', 'hier die', 'gerne', 'natürlich', 'sicher', 'selbstverständlich'], labels: ['übersetzung'] },
+    el: { openers: ['ορίστε', 'ακολουθεί', 'φυσικά', 'βεβαίως'], labels: ['μετάφραση'] },
+    es: { openers: ['aquí está', 'aquí tienes', 'aquí tiene', 'a continuación', 'claro', 'por supuesto'], labels: ['traducción'] },
+    fa: { openers: ['در اینجا', 'این هم', 'البته', 'حتما'], labels: ['ترجمه'] },
+    fr: { openers: ['voici', 'voilà', 'bien sûr', 'certainement', 'ci-dessous'], labels: ['traduction'] },
+    hi: { openers: ['यहाँ', 'यहां', 'ज़रूर', 'बिल्कुल'], labels: ['अनुवाद'] },
+    hr: { openers: ['evo', 'ovdje je', 'naravno', 'svakako'], labels: ['prijevod'] },
+    hu: { openers: ['íme', 'itt van', 'természetesen', 'persze'], labels: ['fordítás'] },
+    hy: { openers: ['ահա', 'իհարկե'], labels: ['թարգմանություն'] },
+    id: { openers: ['berikut', 'ini adalah', 'tentu', 'tentu saja', 'baiklah'], labels: ['terjemahan'] },
+    it: { openers: ['ecco', 'di seguito', 'certo', 'certamente', 'sicuramente'], labels: ['traduzione'] },
+    ja: { openers: ['以下', 'こちら', 'もちろん', 'はい'], labels: ['翻訳', '訳文'], unspaced: true },
+    ko: { openers: ['다음은', '여기', '물론', '네'], labels: ['번역', '번역문'] },
+    lt: { openers: ['štai', 'čia yra', 'žinoma', 'be abejo'], labels: ['vertimas'] },
+    nl: { openers: ['hier is', 'hier zijn', 'hieronder', 'natuurlijk', 'zeker', 'uiteraard'], labels: ['vertaling'] },
+    pl: { openers: ['oto', 'poniżej', 'oczywiście', 'jasne', 'pewnie'], labels: ['tłumaczenie'] },
+    pt: { openers: ['aqui está', 'aqui estão', 'segue', 'a seguir', 'claro', 'com certeza'], labels: ['tradução'] },
+    ru: { openers: ['вот', 'ниже', 'конечно', 'разумеется'], labels: ['перевод'] },
+    sv: { openers: ['här är', 'nedan', 'självklart', 'visst', 'absolut'], labels: ['översättning'] },
+    th: { openers: ['นี่คือ', 'ต่อไปนี้', 'แน่นอน'], labels: ['คำแปล', 'การแปล'], unspaced: true },
+    tr: { openers: ['işte', 'aşağıda', 'tabii', 'elbette', 'tabii ki'], labels: ['çeviri'] },
+    uk: { openers: ['ось', 'нижче', 'звичайно', 'звісно'], labels: ['переклад'] },
+    vi: { openers: ['đây là', 'dưới đây là', 'sau đây là', 'chắc chắn', 'tất nhiên'], labels: ['bản dịch'] },
+    zh: { openers: ['以下是', '这是', '這是', '好的', '当然', '當然'], labels: ['翻译', '翻譯', '译文', '譯文'], unspaced: true }
+};
+
+// Lines or sentences that talk about the answer
+const COMMENTARY_PATTERNS = [
+    /^(?:\*\*)?(?:note|notes|explanation|changes|changes made|key changes|translator'?s note)(?:\*\*)?\s*:/im,
+    /\((?:note|translator'?s note)\s*:/i,
+    /\bI(?: have|'ve)? (?:rewritten|translated|kept|preserved|made|changed|improved|revised)\b/i,
+    /\b(?:I hope this helps|let me know if|feel free to ask|as an AI)\b/i
+];
+
+// Traces of the model thinking out loud
+const REASONING_PATTERNS = [
+    /<\/?think(?:ing)?>/i,
+    /\bassistantfinal\b/i,
+    /^analysis(?=[A-Z:]|\s*$)/m,
+    /\b(?:the user (?:wants|asks|requests)|we need to (?:rewrite|translate|produce|keep|preserve)|let me (?:think|rewrite|translate)|let's (?:rewrite|translate|produce))\b/i
+];
+
+const PROMPT_LINE_MIN_LENGTH = 20;      // shorter prompt lines are too generic to count as leaked
+
+class LLMOutput {
+    /**
+     * Strip safe wrappers from an answer and flag chatter
+     * source is the text that was sent for rewriting/translation, prompt the messages,
+     * language the target language code of a translation (adds its preamble patterns)
+     * Returns { text, stripped: [wrapper], problems: [message] }
+     */
+    static sanitize(output, { source = '', prompt = [], language = null } = {}) {
+        const stripped = [];
+        let text = String(output || '').trim();
+        const trimmedSource = source.trim();
+
+        // Wrappers can be nested (a quoted answer inside a result tag), so strip until nothing changes
+        let previous = null;
+        while (text !== previous) {
+            previous = text;
+
+            const tag = text.match(RESULT_TAGS);
+            if (tag && !RESULT_TAGS.test(trimmedSource)) {
+                text = tag[2];
+                stripped.push(`<${tag[1]}> tag`);
+            }
+
+            const pair = QUOTE_PAIRS.find(([open, close]) => LLMOutput.isWrappedIn(text, open, close));
+            if (pair && !LLMOutput.isWrappedIn(trimmedSource, pair[0], pair[1])) {
+                text = text.slice(pair[0].length, -pair[1].length).trim();
+                stripped.push(`${pair[0]}${pair[1]} quotes`);
+            }
+        }
+
+        return { text, stripped, problems: LLMOutput.detect(text, { source, prompt, language }) };
+    }
+
+    /**
+     * Check whether the whole text sits inside one pair of quotes
+     * (not two quoted phrases that happen to start and end it)
+     */
+    static isWrappedIn(text, open, close) {
+        if (text.length < open.length + close.length + 1 || !text.startsWith(open) || !text.endsWith(close)) {
+            return false;
+        }
+
+        const inner = text.slice(open.length, -close.length);
+        if (open === close) {
+            return !inner.includes(open);
+        }
+
+        let depth = 0;
+        for (const char of inner) {
+            if (char === open) depth++;
+            if (char === close && --depth < 0) return false;
+        }
+        return depth === 0;
+    }
+
+    /**
+     * Preamble patterns for a target language (English ones always apply, models often fall back to English)
+     */
+    static getPreamblePatterns(language) {
+        const preambles = language && LANGUAGE_PREAMBLES[language.toLowerCase().split(/[-_]/)[0]];
+        if (!preambles) {
+            return PREAMBLE_PATTERNS;
+        }
+
+        const escape = phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const openers = preambles.openers.map(escape).join('|');
+        const labels = preambles.labels.map(escape).join('|');
+        // \b only knows ASCII letters, so the end of an opener is a space or punctuation instead
+        const openerEnd = preambles.unspaced ? '' : '(?=[\\s,!.:])';
+        return [
+            ...PREAMBLE_PATTERNS,
+            new RegExp(`^(?:${openers})${openerEnd}.{0,100}[:：]\\s*$`, 'iu'),
+            new RegExp(`^(?:\\*\\*)?(?:${labels})(?:\\*\\*)?\\s*[:：]`, 'iu')
+        ];
+    }
+
+    /**
+     * Flag chatter in an answer: [message]
+     */
+    static detect(text, { source = '', prompt = [], language = null } = {}) {
+        const problems = [];
+        const lowerSource = source.toLowerCase();
+        const notInSource = value => !lowerSource.includes(value.trim().toLowerCase());
+        const firstMatch = patterns => {
+            for (const pattern of patterns) {
+                const match = text.match(pattern);
+                if (match && notInSource(match[0])) return match[0].trim();
+            }
+            return null;
+        };
+
+        const firstLine = text.split('\n')[0].trim();
+        // The line break tells a lone "Sure!" line apart from an answer that is just "OK."
+        const head = text.match(/^[^\n]*\n?/)[0].replace(/^\s+/, '');
+        // When the source opens with a line ending in a colon, so may the answer ("Here are the steps:" -> "Voici les étapes :")
+        const colonLineExpected = /[:：]\s*$/.test(firstLine) && /[:：]\s*$/.test(source.trim().split('\n')[0]);
+        const preamble = !colonLineExpected && LLMOutput.getPreamblePatterns(language).find(pattern => pattern.test(head));
+        if (preamble && notInSource(firstLine)) {
+            problems.push(`Preamble: "${LLMOutput.preview(firstLine)}"`);
+        }
+
+        const commentary = firstMatch(COMMENTARY_PATTERNS);
+        if (commentary) {
+            problems.push(`Meta-commentary: "${LLMOutput.preview(commentary)}"`);
+        }
+
+        const reasoning = firstMatch(REASONING_PATTERNS);
+        if (reasoning) {
+            problems.push(`Reasoning text: "${LLMOutput.preview(reasoning)}"`);
+        }
+
+        const leaked = LLMOutput.findLeakedPromptLine(text, source, prompt);
+        if (leaked) {
+            problems.push(`Leaked prompt text: "${LLMOutput.preview(leaked)}"`);
+        }
+
+        if (/^\s*(```|~~~)/m.test(text) && !/^\s*(```|~~~)/m.test(source)) {
+            problems.push('Markdown code fence that is not in the source');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Find a line of the prompt (instructions, not the source) that the answer repeats
+     */
+    static findLeakedPromptLine(text, source, prompt) {
+        const lowerText = text.toLowerCase();
+        const lowerSource = source.toLowerCase();
+
+        for (const message of prompt) {
+            for (const rawLine of String(message.content || '').split('\n')) {
+                const line = rawLine.trim().replace(/^(?:[-*]|\d+\.)\s+/, '').replace(/^["'“]|["'”]$/g, '').toLowerCase();
+                if (line.length >= PROMPT_LINE_MIN_LENGTH && !lowerSource.includes(line) && lowerText.includes(line)) {
+                    return rawLine.trim();
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Shorten text for a problem message
+     */
+    static preview(text, length = 60) {
+        const singleLine = text.replace(/\s+/g, ' ');
+        return singleLine.length > length ? `${singleLine.substring(0, length)}...` : singleLine;
+    }
+}
+
+module.exports = LLMOutput;
@@ -2,57 +2,54 @@
 
 const fs = require('fs');
 const path = require('path');
-const fetch = require('node-fetch');
+const LLMClient = require('./llm-client.js');
+const LLMOutput = require('./llm-output.js');
 
 /**
  * LLM Integration Module for Content Rewriting
- * Handles API calls to LiteLLM service for content enhancement
+ * Builds the rewrite prompts and checks the answers; llm-client.js makes the API calls
  */
 
+const OUTPUT_ATTEMPTS = 3;      // answers flagged by llm-output.js are requested again up to this many times in total
+
 class LLMRewriter {
-    constructor(apiKey, apiUrl = 'https://llm.professionalize.com/v1/chat/completions') {
-        this.apiKey = apiKey;
-        this.apiUrl = apiUrl;
-        this.model = 'gpt-oss';
+    constructor(client = new LLMClient()) {
+        this.client = client;
+        this.variant = 0;       // set per candidate so repeated rewrites aren't answered by the same cache entry
+    }
+
+    /**
+     * Send messages through the shared LLM client
+     * task selects the model settings: "rewrite" for body text, "seo" for titles and descriptions;
+     * cacheOptions ({ refresh, cacheIf }) are passed on to LLMClient.complete
+     */
+    async callLLM(messages, task = 'rewrite', cacheOptions = {}) {
+        const response = await this.client.complete(messages, { task, variant: this.variant, ...cacheOptions });
+        return response.text;
     }
 
     /**
-     * Make API call to LiteLLM service
+     * Call the LLM and check the answer with LLMOutput: safe wrappers are stripped, and
+     * answers with chatter (preambles, commentary, reasoning, leaked prompt text) are retried
+     * source is the text being rewritten
      */
-    async callLLM(messages, maxRetries = 3) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                const response = await fetch(this.apiUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model: this.model,
-                        messages: messages,
-                        temperature: 0.7,
-                        max_tokens: 1000
-                    })
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${await response.text()}`);
-                }
-
-                const data = await response.json();
-                return data.choices[0].message.content;
-            } catch (error) {
-                console.error(`LLM API attempt ${attempt} failed:`, error.message);
-                
-                if (attempt === maxRetries) {
-                    throw new Error(`LLM API failed after ${maxRetries} attempts: ${error.message}`);
-                }
-                
-                // Wait before retry (exponential backoff)
-                await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+    async callLLMChecked(messages, source, task = 'rewrite') {
+        let problems = [];
+        // Only answers that pass the check are cached, so a later retry re-asks just the rejected call
+        const check = text => LLMOutput.sanitize(text, { source, prompt: messages });
+        const cacheIf = text => check(text).problems.length === 0;
+
+        for (let attempt = 1; attempt <= OUTPUT_ATTEMPTS; attempt++) {
+            const output = check(await this.callLLM(messages, task, { refresh: attempt > 1, cacheIf }));
+            if (output.problems.length === 0) {
+                return output.text;
             }
+
+            problems = output.problems;
+            console.warn(`  ⚠️  LLM output rejected (attempt ${attempt}/${OUTPUT_ATTEMPTS}): ${problems.join('; ')}`);
         }
+
+        throw new Error(`LLM output rejected after ${OUTPUT_ATTEMPTS} attempts: ${problems.join('; ')}`);
     }
 
     /**
@@ -98,7 +95,7 @@ Return ONLY the rewritten paragraph, no additional text or explanations.`
             }
         ];
 
-        return await this.callLLM(messages);
+        return await this.callLLMChecked(messages, originalText);
     }
 
     /**
@@ -122,7 +119,114 @@ Return ONLY the rewritten paragraph, no additional text or explanations.`
             }
         ];
 
-        return await this.callLLM(messages);
+        return await this.callLLMChecked(messages, originalText);
+    }
+
+    /**
+     * Rewrite explanatory text inside a section, given the heading above it and
+     * the code samples around it as context
+     */
+    async rewriteSectionText(originalText, articleTitle, platform, { heading, codeBefore, codeAfter } = {}) {
+        const context = [
+            heading ? `- Section heading: "${heading}"` : null,
+            codeBefore ? `- Code sample before this text: ${codeBefore}` : null,
+            codeAfter ? `- Code sample after this text: ${codeAfter}` : null
+        ].filter(Boolean).join('\n');
+
+        const messages = [
+            {
+                role: 'system',
+                content: this.getSystemPrompt()
+            },
+            {
+                role: 'user',
+                content: `Please rewrite this explanatory text from a ${platform} tutorial article titled "${articleTitle}".
+${context ? `\nContext (do not include it in your answer):\n${context}\n` : ''}
+Make it clearer and easier to follow while preserving all technical information, the paragraph breaks and the same meaning. The text explains the code sample, so keep every class, method and parameter name it mentions:
+
+"${originalText}"
+
+Return ONLY the rewritten text, no headings, code, additional text or explanations.`
+            }
+        ];
+
+        return await this.callLLMChecked(messages, originalText);
+    }
+
+    /**
+     * Normalise a one-line LLM answer: trim, collapse whitespace and drop wrapping quotes
+     */
+    cleanSingleLine(text) {
+        return text.trim().replace(/\s+/g, ' ').replace(/^(["'“])(.*)(["'”])$/, '$2').trim();
+    }
+
+    /**
+     * Rewrite the meta description within a length range, keeping the primary keyword and product name
+     * feedback lists the problems of a previous attempt so the model can correct them
+     */
+    async rewriteDescription(originalDescription, { title, platform, productName, primaryKeyword, minLength, maxLength, feedback = [] }) {
+        const requirements = [
+            `- Between ${minLength} and ${maxLength} characters long, including spaces`,
+            primaryKeyword ? `- Contains the exact phrase "${primaryKeyword}"` : null,
+            productName ? `- Mentions the product name "${productName}" exactly as written` : null,
+            '- A single sentence or two, no line breaks, no quotes, no markdown'
+        ].filter(Boolean).join('\n');
+
+        const retryNote = feedback.length > 0
+            ? `\n\nYour previous attempt was rejected: ${feedback.join('; ')}. Fix these problems.`
+            : '';
+
+        const messages = [
+            {
+                role: 'system',
+                content: this.getSystemPrompt()
+            },
+            {
+                role: 'user',
+                content: `Please rewrite the meta description of a ${platform} tutorial article titled "${title}" for search engines.
+
+Requirements:
+${requirements}
+
+Current description:
+"${originalDescription}"${retryNote}
+
+Return ONLY the new description, no additional text or explanations.`
+            }
+        ];
+
+        return this.cleanSingleLine(await this.callLLMChecked(messages, originalDescription, 'seo'));
+    }
+
+    /**
+     * Suggest an alternative article title that keeps the primary keyword and product name
+     */
+    async suggestTitle(originalTitle, { platform, productName, primaryKeyword }) {
+        const requirements = [
+            primaryKeyword ? `- Contains the exact phrase "${primaryKeyword}"` : null,
+            productName ? `- Mentions the product name "${productName}" exactly as written` : null,
+            '- At most 60 characters, no quotes, no markdown'
+        ].filter(Boolean).join('\n');
+
+        const messages = [
+            {
+                role: 'system',
+                content: this.getSystemPrompt()
+            },
+            {
+                role: 'user',
+                content: `Suggest a more search-friendly title for this ${platform} tutorial article:
+
+"${originalTitle}"
+
+Requirements:
+${requirements}
+
+Return ONLY the suggested title, no additional text or explanations.`
+            }
+        ];
+
+        return this.cleanSingleLine(await this.callLLMChecked(messages, originalTitle, 'seo'));
     }
 
     /**
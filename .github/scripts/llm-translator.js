@@ -3,19 +3,19 @@
 /**
  * LLM Translator
  * 
- * Handles translation of content using LiteLLM API while preserving
+ * Handles translation of content through the shared LLM client while preserving
  * links, gists, and code blocks
  */
 
-const fetch = require('node-fetch');
+const FrontMatter = require('./front-matter.js');
+const LLMClient = require('./llm-client.js');
+const LLMOutput = require('./llm-output.js');
+
+const OUTPUT_ATTEMPTS = 3;      // answers flagged by llm-output.js are requested again up to this many times in total
 
 class LLMTranslator {
-    constructor() {
-        this.apiEndpoint = 'https://llm.professionalize.com/v1/chat/completions';
-        this.apiKey = process.env.LLM_API_KEY || 'sk-8W05YDkddO7rioWnXjyfng';
-        this.model = 'gpt-oss';
-        this.maxRetries = 3;
-        this.retryDelay = 1000; // 1 second
+    constructor(client = new LLMClient()) {
+        this.client = client;
         this.enableDetailedLogging = process.env.TRANSLATION_DEBUG === 'true' || process.env.NODE_ENV === 'development';
         
         // Language code to full language name mapping
@@ -51,120 +51,53 @@ class LLMTranslator {
     }
 
     /**
-     * Make API call to LiteLLM with retry mechanism
+     * Send messages through the shared LLM client ("translate" task settings)
+     * Answers that only come back as reasoning are recovered with extractTranslationFromReasoning;
+     * cacheOptions ({ refresh, cacheIf }) are passed on to LLMClient.complete
      */
-    async callLLM(messages, maxTokens = 2000, logDetails = false) {
-        const requestBody = {
-            model: this.model,
-            messages: messages,
-            max_tokens: maxTokens,
-            temperature: 0.3
-        };
-
-        // Log the request details if enabled
-        if (logDetails) {
-            console.log('\n📤 LLM API REQUEST:');
-            console.log('Endpoint:', this.apiEndpoint);
-            console.log('Model:', this.model);
-            console.log('Max Tokens:', maxTokens);
-            console.log('Temperature:', 0.3);
-            console.log('Messages:');
-            messages.forEach((msg, index) => {
-                console.log(`  [${index}] Role: ${msg.role}`);
-                const preview = msg.content.length > 200 ? msg.content.substring(0, 200) + '...' : msg.content;
-                console.log(`  [${index}] Content: ${preview}`);
-            });
-            console.log('');
-        }
-
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                const startTime = Date.now();
-                
-                const response = await fetch(this.apiEndpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.apiKey}`
-                    },
-                    body: JSON.stringify(requestBody)
-                });
-
-                const responseTime = Date.now() - startTime;
-
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    if (logDetails) {
-                        console.log(`📥 LLM API ERROR RESPONSE (${responseTime}ms):`);
-                        console.log('Status:', response.status, response.statusText);
-                        console.log('Error:', errorText);
-                    }
-                    throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-                }
+    async callLLM(messages, maxTokens = 2000, logDetails = false, cacheOptions = {}) {
+        const response = await this.client.complete(messages, {
+            task: 'translate',
+            maxTokens,
+            logDetails,
+            ...cacheOptions,
+            fromReasoning: reasoning => this.extractTranslationFromReasoning(reasoning)
+        });
+        return response.text;
+    }
 
-                const data = await response.json();
-                
-                // Log the successful response if enabled
-                if (logDetails) {
-                    console.log(`📥 LLM API SUCCESS RESPONSE (${responseTime}ms):`);
-                    console.log('Status:', response.status);
-                    if (data.usage) {
-                        console.log('Tokens - Prompt:', data.usage.prompt_tokens, 'Completion:', data.usage.completion_tokens, 'Total:', data.usage.total_tokens);
-                    }
-                    if (data.choices && data.choices[0] && data.choices[0].message) {
-                        const content = data.choices[0].message.content;
-                        const preview = content && content.length > 300 ? content.substring(0, 300) + '...' : content;
-                        console.log('Response Content Preview:', preview);
-                        console.log('Full Response Length:', content ? content.length : 0, 'characters');
-                    }
-                    console.log('');
-                }
-                
-                if (data.choices && data.choices[0] && data.choices[0].message) {
-                    const message = data.choices[0].message;
-                    let content = message.content;
-                    
-                    // Handle case where reasoning_content is provided instead of content
-                    if (!content && message.reasoning_content) {
-                        if (logDetails) {
-                            console.log('🔍 No content found, extracting from reasoning_content...');
-                        }
-                        // Try to extract the actual translation from reasoning content
-                        content = this.extractTranslationFromReasoning(message.reasoning_content);
-                    }
-                    
-                    if (content && typeof content === 'string') {
-                        return content.trim();
-                    }
-                }
-                
-                if (logDetails) {
-                    console.log('📥 LLM API INVALID RESPONSE FORMAT:');
-                    console.log('Response Data:', JSON.stringify(data, null, 2));
-                }
-                throw new Error('Invalid response format from LLM API - no content in response');
-            } catch (error) {
-                const errorMessage = `LLM API attempt ${attempt} failed: ${error.message}`;
-                console.error(errorMessage);
-                
-                if (logDetails && attempt < this.maxRetries) {
-                    console.log(`⏱️  Retrying in ${this.retryDelay * attempt}ms...`);
-                }
-                
-                if (attempt === this.maxRetries) {
-                    throw new Error(`LLM API failed after ${this.maxRetries} attempts: ${error.message}`);
+    /**
+     * Call the LLM and check the answer with LLMOutput: safe wrappers are stripped, and
+     * answers with chatter (preambles, commentary, reasoning, leaked prompt text) are retried
+     * source is the text being translated, language the target language code
+     */
+    async callLLMChecked(messages, source, maxTokens = 2000, logDetails = false, language = null) {
+        let problems = [];
+        // Only answers that pass the check are cached, so a later retry re-asks just the rejected call
+        const check = text => LLMOutput.sanitize(text, { source, prompt: messages, language });
+        const cacheIf = text => check(text).problems.length === 0;
+
+        for (let attempt = 1; attempt <= OUTPUT_ATTEMPTS; attempt++) {
+            const output = check(await this.callLLM(messages, maxTokens, logDetails, { refresh: attempt > 1, cacheIf }));
+            if (output.problems.length === 0) {
+                if (logDetails && output.stripped.length > 0) {
+                    console.log(`🧹 Stripped from LLM output: ${output.stripped.join(', ')}`);
                 }
-                
-                // Wait before retry
-                await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt));
+                return output.text;
             }
+
+            problems = output.problems;
+            console.warn(`    ⚠ LLM output rejected (attempt ${attempt}/${OUTPUT_ATTEMPTS}): ${problems.join('; ')}`);
         }
+
+        throw new Error(`LLM output rejected after ${OUTPUT_ATTEMPTS} attempts: ${problems.join('; ')}`);
     }
 
     /**
      * Translate frontmatter fields
+     * Takes { title, description, keywords: [], steps: { step1, ... } } and returns the same shape translated
      */
-    async translateFrontmatter(frontmatter, targetLanguage) {
+    async translateFrontmatter(fields, targetLanguage) {
         const languageName = this.languageNames[targetLanguage] || targetLanguage.toUpperCase();
         
         const systemPrompt = `You are a professional technical translator specializing in software documentation translation.
@@ -180,33 +113,30 @@ CRITICAL TRANSLATION RULES:
 Your response must contain ONLY the translated text with no additional commentary.`;
 
         try {
-            // Extract and translate title
-            const titleMatch = frontmatter.match(/title:\s*"(.+)"/);
+            // Translate title
             let translatedTitle = '';
-            if (titleMatch) {
-                const userPrompt = `Translate this title to ${languageName}: "${titleMatch[1]}"\n\nReturn only the translated title text without quotes.`;
-                translatedTitle = await this.callLLM([
+            if (fields.title) {
+                const userPrompt = `Translate this title to ${languageName}: "${fields.title}"\n\nReturn only the translated title text without quotes.`;
+                translatedTitle = await this.callLLMChecked([
                     { role: 'system', content: systemPrompt },
                     { role: 'user', content: userPrompt }
-                ], 200, this.enableDetailedLogging);
+                ], fields.title, 200, this.enableDetailedLogging, targetLanguage);
             }
 
-            // Extract and translate description
-            const descriptionMatch = frontmatter.match(/description:\s*"(.+)"/);
+            // Translate description
             let translatedDescription = '';
-            if (descriptionMatch) {
-                const userPrompt = `Translate this description to ${languageName}: "${descriptionMatch[1]}"\n\nReturn only the translated description text without quotes.`;
-                translatedDescription = await this.callLLM([
+            if (fields.description) {
+                const userPrompt = `Translate this description to ${languageName}: "${fields.description}"\n\nReturn only the translated description text without quotes.`;
+                translatedDescription = await this.callLLMChecked([
                     { role: 'system', content: systemPrompt },
                     { role: 'user', content: userPrompt }
-                ], 500, this.enableDetailedLogging);
+                ], fields.description, 500, this.enableDetailedLogging, targetLanguage);
             }
 
-            // Extract and translate keywords
-            const keywordsMatch = frontmatter.match(/keywords:\s*\[([\s\S]*?)\]/);
-            let translatedKeywords = '';
-            if (keywordsMatch) {
-                const keywordsContent = keywordsMatch[1].trim();
+            // Translate keywords
+            let translatedKeywords = [];
+            if (fields.keywords && fields.keywords.length > 0) {
+                const keywordsContent = fields.keywords.map(keyword => `"${keyword}"`).join(',\n');
                 const userPrompt = `Please translate only the text within quotes to ${languageName}. Keep technical terms like "pdf", "c#", "powerpoint" unchanged. Keep the exact same format with quotes and commas.
 
 Input: ${keywordsContent}
@@ -217,24 +147,21 @@ Expected output format example:
 "translated keyword 3"
 
 Translate now:`;
-                translatedKeywords = await this.callLLM([
+                const keywordsResponse = await this.callLLMChecked([
                     { role: 'system', content: `You are a translator. Translate only the text content to ${languageName} while keeping technical terms unchanged. Return ONLY the translated keywords in the same format. Do not provide explanations or reasoning.` },
                     { role: 'user', content: userPrompt }
-                ], 1200, this.enableDetailedLogging);
+                ], keywordsContent, 1200, this.enableDetailedLogging, targetLanguage);
+                translatedKeywords = this.parseKeywordList(keywordsResponse);
             }
 
-            // Extract and translate step1-step10
+            // Translate step fields (step1, step2, ...)
             const translatedSteps = {};
-            for (let i = 1; i <= 10; i++) {
-                const stepPattern = new RegExp(`step${i}:\\s*"(.+)"`);
-                const stepMatch = frontmatter.match(stepPattern);
-                if (stepMatch && stepMatch[1].trim() !== '') {
-                    const userPrompt = `Translate this step description to ${languageName}: "${stepMatch[1]}"\n\nReturn only the translated step text without quotes.`;
-                    translatedSteps[`step${i}`] = await this.callLLM([
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: userPrompt }
-                    ], 300, this.enableDetailedLogging);
-                }
+            for (const [stepKey, stepValue] of Object.entries(fields.steps || {})) {
+                const userPrompt = `Translate this step description to ${languageName}: "${stepValue}"\n\nReturn only the translated step text without quotes.`;
+                translatedSteps[stepKey] = await this.callLLMChecked([
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: userPrompt }
+                ], stepValue, 300, this.enableDetailedLogging, targetLanguage);
             }
 
             return {
@@ -249,6 +176,18 @@ Translate now:`;
         }
     }
 
+    /**
+     * Parse a translated keyword list ("a",\n"b") into an array
+     */
+    parseKeywordList(response) {
+        const quoted = [...response.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => match[1].replace(/\\"/g, '"').trim());
+        if (quoted.length > 0) {
+            return quoted.filter(keyword => keyword);
+        }
+
+        return response.replace(/^\s*\[|\]\s*$/g, '').split(/,|\n/).map(keyword => keyword.trim()).filter(keyword => keyword);
+    }
+
     /**
      * Translate a heading
      */
@@ -272,10 +211,10 @@ Your response must contain ONLY the translated heading.`;
 Return only the translated heading with the same markdown formatting.`;
 
         try {
-            return await this.callLLM([
+            return await this.callLLMChecked([
                 { role: 'system', content: systemPrompt },
                 { role: 'user', content: userPrompt }
-            ], 200, this.enableDetailedLogging);
+            ], heading, 200, this.enableDetailedLogging, targetLanguage);
         } catch (error) {
             console.error(`Error translating heading to ${targetLanguage}:`, error.message);
             throw error;
@@ -315,10 +254,10 @@ ${paragraph}
 Return only the translated paragraph with all links and formatting preserved.`;
 
         try {
-            return await this.callLLM([
+            return await this.callLLMChecked([
                 { role: 'system', content: systemPrompt },
                 { role: 'user', content: userPrompt }
-            ], 1500, this.enableDetailedLogging);
+            ], paragraph, 1500, this.enableDetailedLogging, targetLanguage);
         } catch (error) {
             console.error(`Error translating paragraph to ${targetLanguage}:`, error.message);
             throw error;
@@ -369,7 +308,7 @@ Return ONLY the translated list content, no additional text.`
             }
         ];
 
-        return await this.callLLM(messages, 2000, this.enableDetailedLogging);
+        return await this.callLLMChecked(messages, content, 2000, this.enableDetailedLogging, targetLanguage);
     }
 
     /**
@@ -399,7 +338,10 @@ Return ONLY the translated list content, no additional text.`
             }
         ];
 
-        const result = await this.callLLM(messages, 2000, true); // Enable detailed logging for troubleshooting
+        // Detailed logging is always on for troubleshooting; the source is the marked-up
+        // content without the instructions, so its markers are expected in the answer
+        const source = this.formatSimplifiedSource(troubleshootPrompt);
+        const result = await this.callLLMChecked(messages, source, 2000, true, targetLanguage);
         
         // Parse the result back into the expected format
         return this.parseSimplifiedResult(result, troubleshootPrompt);
@@ -411,8 +353,19 @@ Return ONLY the translated list content, no additional text.`
     formatSimplifiedContent(troubleshootPrompt, languageName) {
         let content = `Translate this technical article content to ${languageName}:\n\n`;
         
+        content += this.formatSimplifiedSource(troubleshootPrompt);
+        
+        content += `\nPlease return the translation in the same format with FRONTMATTER and CONTENT SECTIONS clearly marked.`;
+        
+        return content;
+    }
+
+    /**
+     * Format the frontmatter and sections to translate, marked up as the answer should be
+     */
+    formatSimplifiedSource(troubleshootPrompt) {
         // Add frontmatter
-        content += `FRONTMATTER:\n---\n${troubleshootPrompt.frontMatter}\n---\n\n`;
+        let content = `FRONTMATTER:\n---\n${troubleshootPrompt.frontMatter}\n---\n\n`;
         
         // Add simplified sections
         content += `CONTENT SECTIONS:\n`;
@@ -421,8 +374,6 @@ Return ONLY the translated list content, no additional text.`
             content += `\nSection ${i + 1} (${section.type}):\n${section.content}\n`;
         }
         
-        content += `\nPlease return the translation in the same format with FRONTMATTER and CONTENT SECTIONS clearly marked.`;
-        
         return content;
     }
 
@@ -431,12 +382,16 @@ Return ONLY the translated list content, no additional text.`
      */
     parseSimplifiedResult(result, originalPrompt) {
         try {
-            // Extract frontmatter
+            // Extract frontmatter (kept only if it still parses)
             const frontMatterMatch = result.match(/FRONTMATTER:\s*---\s*([\s\S]*?)\s*---/);
-            let translatedFrontMatter = originalPrompt.frontMatter; // fallback
+            let translatedFrontMatter = FrontMatter.fromBlock(originalPrompt.frontMatter, originalPrompt.format); // fallback
             
             if (frontMatterMatch) {
-                translatedFrontMatter = frontMatterMatch[1].trim();
+                try {
+                    translatedFrontMatter = FrontMatter.fromBlock(frontMatterMatch[1].trim(), originalPrompt.format);
+                } catch (error) {
+                    console.warn(`    Warning: Translated frontmatter is not valid, keeping the original: ${error.message}`);
+                }
             }
             
             // Extract sections
@@ -468,7 +423,7 @@ Return ONLY the translated list content, no additional text.`
         } catch (error) {
             console.warn(`    Warning: Failed to parse simplified result, using fallback structure`);
             return {
-                frontMatter: originalPrompt.frontMatter,
+                frontMatter: FrontMatter.fromBlock(originalPrompt.frontMatter, originalPrompt.format),
                 sections: originalPrompt.sections
             };
         }
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * LLM Usage
+ *
+ * Adds up the tokens and cost of every LLM call in a run, labelled with the
+ * article and language being worked on, and enforces an optional per-run budget.
+ * Once the budget is spent, the next request fails with an error that has
+ * `budgetExhausted` set, so the processors can stop cleanly and report what is left.
+ */
+
+// Overridable via `llm.budget` in kb-workflows.config.json (or LLM_BUDGET_TOKENS / LLM_BUDGET_COST)
+const DEFAULT_BUDGET = {
+    maxTokens: null,        // prompt + completion tokens per run; null is unlimited
+    maxCost: null           // USD per run, priced with `llm.pricing`; null is unlimited
+};
+
+class LLMUsage {
+    /**
+     * pricing: { model: { input, output } } in USD per million prompt/completion tokens
+     */
+    constructor({ pricing = {}, budget = DEFAULT_BUDGET } = {}) {
+        this.pricing = pricing;
+        this.budget = { ...DEFAULT_BUDGET, ...budget };
+        this.scope = {};        // { article, language } attached to the calls that follow
+        this.calls = [];
+        this.totals = LLMUsage.emptyTotals();
+    }
+
+    /**
+     * Label the calls that follow with an article and/or language (null clears a label)
+     */
+    setScope(scope) {
+        this.scope = Object.fromEntries(Object.entries({ ...this.scope, ...scope }).filter(([, value]) => value !== null && value !== undefined));
+    }
+
+    /**
+     * Price a call in USD (null when the model has no pricing)
+     */
+    getCost(model, { promptTokens, completionTokens }) {
+        const price = this.pricing[model];
+        if (!price) {
+            return null;
+        }
+        return ((promptTokens * (price.input || 0)) + (completionTokens * (price.output || 0))) / 1000000;
+    }
+
+    /**
+     * Record one call; answers served from the cache cost nothing
+     * Returns the call entry
+     */
+    record({ task, model, usage = {}, cached = false }) {
+        const promptTokens = cached ? 0 : usage.promptTokens || 0;
+        const completionTokens = cached ? 0 : usage.completionTokens || 0;
+        const cost = this.getCost(model, { promptTokens, completionTokens });
+
+        const call = {
+            task: task || null,
+            model,
+            ...this.scope,
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            cost: cost === null ? null : LLMUsage.roundCost(cost),
+            cached
+        };
+
+        this.calls.push(call);
+        LLMUsage.addTo(this.totals, call);
+        return call;
+    }
+
+    /**
+     * Check whether the budget is spent
+     */
+    isExhausted() {
+        const { maxTokens, maxCost } = this.budget;
+        return (maxTokens !== null && this.totals.totalTokens >= maxTokens) ||
+            (maxCost !== null && this.totals.cost >= maxCost);
+    }
+
+    /**
+     * Throw before a request once the budget is spent
+     */
+    checkBudget() {
+        if (!this.isExhausted()) {
+            return;
+        }
+
+        const { maxTokens, maxCost } = this.budget;
+        const limits = [
+            maxTokens !== null ? `${this.totals.totalTokens}/${maxTokens} tokens` : null,
+            maxCost !== null ? `${LLMUsage.formatCost(this.totals.cost)}/${LLMUsage.formatCost(maxCost)}` : null
+        ].filter(Boolean);
+
+        const error = new Error(`LLM budget exhausted (${limits.join(', ')})`);
+        error.budgetExhausted = true;
+        throw error;
+    }
+
+    /**
+     * Totals for the run and per task, model, article and language, plus every call
+     */
+    getSummary() {
+        const groupBy = field => {
+            const groups = {};
+            for (const call of this.calls) {
+                if (call[field] === undefined || call[field] === null) continue;
+                groups[call[field]] = groups[call[field]] || LLMUsage.emptyTotals();
+                LLMUsage.addTo(groups[call[field]], call);
+            }
+            return groups;
+        };
+
+        const unpricedModels = [...new Set(this.calls.filter(call => call.cost === null && !call.cached).map(call => call.model))];
+
+        return {
+            totals: this.totals,
+            budget: { ...this.budget, exhausted: this.isExhausted() },
+            unpricedModels,
+            byTask: groupBy('task'),
+            byModel: groupBy('model'),
+            byArticle: groupBy('article'),
+            byLanguage: groupBy('language'),
+            calls: this.calls
+        };
+    }
+
+    /**
+     * One line for console summaries
+     */
+    formatTotals(totals = this.totals) {
+        return `${totals.calls} calls (${totals.cachedCalls} cached), ${totals.promptTokens} prompt + ${totals.completionTokens} completion tokens, ${LLMUsage.formatCost(totals.cost)}`;
+    }
+
+    /**
+     * Zeroed totals for a run or group
+     */
+    static emptyTotals() {
+        return { calls: 0, cachedCalls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    }
+
+    /**
+     * Add a call to running totals
+     */
+    static addTo(totals, call) {
+        totals.calls++;
+        totals.cachedCalls += call.cached ? 1 : 0;
+        totals.promptTokens += call.promptTokens;
+        totals.completionTokens += call.completionTokens;
+        totals.totalTokens += call.totalTokens;
+        totals.cost = LLMUsage.roundCost(totals.cost + (call.cost || 0));
+    }
+
+    /**
+     * Format a USD amount; small amounts keep enough digits to be non-zero
+     */
+    static formatCost(cost) {
+        return `$${cost.toFixed(cost >= 0.01 ? 4 : 6)}`;
+    }
+
+    /**
+     * Round to a millionth of a dollar so sums don't collect float noise
+     */
+    static roundCost(cost) {
+        return Math.round(cost * 1000000) / 1000000;
+    }
+}
+
+LLMUsage.DEFAULT_BUDGET = DEFAULT_BUDGET;
+
+module.exports = LLMUsage;
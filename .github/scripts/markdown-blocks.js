@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+
+/**
+ * Markdown Blocks
+ *
+ * Splits a markdown body into a tree of blocks (headings, paragraphs, lists,
+ * code, Hugo shortcodes, ...) with exact source offsets. Paired shortcodes such
+ * as {{< note >}}...{{< /note >}} hold their inner blocks in `children`.
+ *
+ * Every block is { type, start, end, text } where start/end are character
+ * offsets into the parsed text (end is exclusive and excludes the line break).
+ */
+
+const ADMONITION_SHORTCODES = ['alert', 'admonition', 'callout', 'caution', 'danger', 'hint', 'important', 'info', 'note', 'notice', 'tip', 'warning'];
+const CODE_SHORTCODES = ['gist', 'highlight', 'code'];
+
+const FENCE_LINE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)?.*$/;
+const HEADING_LINE = /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+const BLOCKQUOTE_LINE = /^ {0,3}>/;
+const TABLE_LINE = /^ {0,3}\|/;
+const HTML_LINE = /^ {0,3}<(?:[A-Za-z][\w-]*[\s/>]|\/[A-Za-z]|!--)/;
+const SHORTCODE_OPEN = /^[ \t]*\{\{([<%])-?\s*(\/?)([\w./-]+)/;
+const IMAGE_ONLY_LINE = /^[ \t]*(?:!\[[^\]]*\]\([^)]*\)[ \t]*)+$/;
+
+class MarkdownBlocks {
+    /**
+     * Parse markdown text into a block tree
+     * offset is added to every position (used for shortcode children)
+     */
+    static parse(text, offset = 0) {
+        const lines = MarkdownBlocks.splitLines(text);
+        return MarkdownBlocks.parseLines(text, lines, 0, lines.length, offset);
+    }
+
+    /**
+     * Split text into lines with their start/end offsets (line breaks excluded)
+     */
+    static splitLines(text) {
+        const lines = [];
+        let pos = 0;
+
+        while (pos <= text.length) {
+            const newline = text.indexOf('\n', pos);
+            const rawEnd = newline === -1 ? text.length : newline;
+            const end = text[rawEnd - 1] === '\r' ? rawEnd - 1 : rawEnd;
+            lines.push({ start: pos, end, text: text.substring(pos, end) });
+
+            if (newline === -1) break;
+            pos = newline + 1;
+        }
+
+        return lines;
+    }
+
+    /**
+     * Parse lines[from..to) into blocks
+     */
+    static parseLines(text, lines, from, to, offset) {
+        const blocks = [];
+        let i = from;
+
+        const makeBlock = (type, first, last, extra = {}) => {
+            const start = lines[first].start;
+            const end = lines[last].end;
+            return { type, start: start + offset, end: end + offset, text: text.substring(start, end), ...extra };
+        };
+
+        while (i < to) {
+            const line = lines[i].text;
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            // Fenced code: runs to the matching closing fence (or the end of the text)
+            const fenceMatch = line.match(FENCE_LINE);
+            if (fenceMatch) {
+                const fence = fenceMatch[1];
+                let last = i + 1;
+                while (last < to && !new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`).test(lines[last].text)) {
+                    last++;
+                }
+                last = Math.min(last, to - 1);
+                blocks.push(makeBlock('code', i, last, { fenced: true, lang: fenceMatch[2] || '' }));
+                i = last + 1;
+                continue;
+            }
+
+            // Hugo shortcodes starting a line: {{< name >}}, {{% name %}} and paired forms
+            const shortcodeMatch = line.match(SHORTCODE_OPEN);
+            if (shortcodeMatch && !shortcodeMatch[2]) {
+                const block = MarkdownBlocks.parseShortcode(text, lines, i, to, offset, shortcodeMatch);
+                blocks.push(block.block);
+                i = block.next;
+                continue;
+            }
+
+            const headingMatch = line.match(HEADING_LINE);
+            if (headingMatch) {
+                blocks.push(makeBlock('heading', i, i, { level: headingMatch[1].length, title: headingMatch[2].trim() }));
+                i++;
+                continue;
+            }
+
+            if (THEMATIC_BREAK.test(line)) {
+                blocks.push(makeBlock('thematicBreak', i, i));
+                i++;
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                const last = MarkdownBlocks.findListEnd(lines, i, to);
+                blocks.push(makeBlock('list', i, last, { ordered: /\d/.test(line.match(LIST_ITEM)[2]) }));
+                i = last + 1;
+                continue;
+            }
+
+            // Indented code (4+ spaces, not continuing a paragraph)
+            if (/^( {4}|\t)/.test(line)) {
+                let last = i;
+                while (last + 1 < to && (/^( {4}|\t)/.test(lines[last + 1].text) || (lines[last + 1].text.trim() === '' && last + 2 < to && /^( {4}|\t)/.test(lines[last + 2].text)))) {
+                    last++;
+                }
+                blocks.push(makeBlock('code', i, last, { fenced: false, lang: '' }));
+                i = last + 1;
+                continue;
+            }
+
+            const simpleTypes = [['blockquote', BLOCKQUOTE_LINE], ['table', TABLE_LINE], ['html', HTML_LINE]];
+            const simple = simpleTypes.find(([, pattern]) => pattern.test(line));
+            if (simple) {
+                let last = i;
+                while (last + 1 < to && lines[last + 1].text.trim() !== '' && (simple[0] !== 'blockquote' || !MarkdownBlocks.startsBlock(lines[last + 1].text))) {
+                    if (simple[0] === 'table' && !TABLE_LINE.test(lines[last + 1].text)) break;
+                    last++;
+                }
+                blocks.push(makeBlock(simple[0], i, last));
+                i = last + 1;
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or a line that starts another block
+            let last = i;
+            let setextLevel = 0;
+            while (last + 1 < to && lines[last + 1].text.trim() !== '') {
+                const next = lines[last + 1].text;
+                const underline = next.match(SETEXT_UNDERLINE);
+                if (underline) {
+                    setextLevel = underline[1][0] === '=' ? 1 : 2;
+                    last++;
+                    break;
+                }
+                if (MarkdownBlocks.startsBlock(next)) break;
+                last++;
+            }
+
+            if (setextLevel) {
+                blocks.push(makeBlock('heading', i, last, { level: setextLevel, title: lines.slice(i, last).map(entry => entry.text.trim()).join(' ') }));
+            } else {
+                const isImage = lines.slice(i, last + 1).every(entry => IMAGE_ONLY_LINE.test(entry.text));
+                blocks.push(makeBlock(isImage ? 'image' : 'paragraph', i, last));
+            }
+            i = last + 1;
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Check whether a line interrupts a paragraph by starting a new block
+     */
+    static startsBlock(line) {
+        return FENCE_LINE.test(line) ||
+            HEADING_LINE.test(line) ||
+            THEMATIC_BREAK.test(line) ||
+            LIST_ITEM.test(line) ||
+            BLOCKQUOTE_LINE.test(line) ||
+            HTML_LINE.test(line) ||
+            SHORTCODE_OPEN.test(line);
+    }
+
+    /**
+     * Find the last line of a list: items, their indented continuation lines and
+     * blank lines between them
+     */
+    static findListEnd(lines, first, to) {
+        let last = first;
+        let i = first + 1;
+
+        while (i < to) {
+            const line = lines[i].text;
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            const continues = LIST_ITEM.test(line) || /^( {2,}|\t)/.test(line) ||
+                (lines[i - 1].text.trim() !== '' && !MarkdownBlocks.startsBlock(line));
+            if (!continues) break;
+
+            // A fenced block inside an item: skip to its closing fence
+            const fenceMatch = line.trim().match(/^(`{3,}|~{3,})/);
+            if (fenceMatch) {
+                i++;
+                while (i < to && !lines[i].text.trim().startsWith(fenceMatch[1])) i++;
+            }
+
+            last = Math.min(i, to - 1);
+            i++;
+        }
+
+        return last;
+    }
+
+    /**
+     * Parse a shortcode starting at line i; paired shortcodes get their inner blocks as children
+     */
+    static parseShortcode(text, lines, i, to, offset, match) {
+        const [, delimiter, , name] = match;
+        const closeDelimiter = delimiter === '<' ? '>}}' : '%}}';
+
+        // The opening tag may span several lines
+        let tagLast = i;
+        while (tagLast < to - 1 && !lines[tagLast].text.includes(closeDelimiter)) tagLast++;
+
+        const closeIndex = lines[tagLast].text.indexOf(closeDelimiter);
+        const openTagEnd = closeIndex === -1 ? lines[tagLast].end : lines[tagLast].start + closeIndex + closeDelimiter.length;
+        const openTag = text.substring(lines[i].start, openTagEnd);
+        const selfClosing = /\/\s*-?[>%]\}\}$/.test(openTag);
+
+        const block = {
+            type: 'shortcode',
+            name,
+            admonition: ADMONITION_SHORTCODES.includes(name.toLowerCase()),
+            code: CODE_SHORTCODES.includes(name.toLowerCase()),
+            paired: false,
+            children: []
+        };
+
+        // Look for the matching closing tag, counting nested shortcodes of the same name
+        const closing = selfClosing ? null : MarkdownBlocks.findClosingTag(text, openTagEnd, lines[to - 1].end, name, delimiter);
+        let lastLine = tagLast;
+
+        if (closing) {
+            block.paired = true;
+            lastLine = lines.findIndex(entry => closing.end <= entry.end && closing.end >= entry.start);
+            const inner = text.substring(openTagEnd, closing.start);
+            block.children = MarkdownBlocks.parse(inner, offset + openTagEnd);
+        }
+
+        block.start = lines[i].start + offset;
+        block.end = lines[lastLine].end + offset;
+        block.text = text.substring(lines[i].start, lines[lastLine].end);
+
+        return { block, next: lastLine + 1 };
+    }
+
+    /**
+     * Find the {{< /name >}} that closes a shortcode opened before position `from`
+     */
+    static findClosingTag(text, from, limit, name, delimiter) {
+        const escapedName = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        const open = delimiter === '<' ? '<' : '%';
+        const close = delimiter === '<' ? '>' : '%';
+        const tagPattern = new RegExp(`\\{\\{${open}-?\\s*(\\/?)${escapedName}(?=[\\s/${close}-])[\\s\\S]*?-?${close}\\}\\}`, 'g');
+
+        tagPattern.lastIndex = from;
+        let depth = 1;
+        let tag;
+
+        while ((tag = tagPattern.exec(text)) && tag.index < limit) {
+            if (tag[1]) {
+                depth--;
+                if (depth === 0) {
+                    return { start: tag.index, end: tag.index + tag[0].length };
+                }
+            } else if (!/\/\s*-?[>%]\}\}$/.test(tag[0])) {
+                depth++;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Visit every block in document order, including shortcode children
+     */
+    static walk(blocks, visit) {
+        for (const block of blocks) {
+            visit(block);
+            if (block.children && block.children.length > 0) {
+                MarkdownBlocks.walk(block.children, visit);
+            }
+        }
+    }
+
+    /**
+     * Check whether a block holds code (fenced/indented code or a gist/highlight shortcode)
+     */
+    static isCode(block) {
+        return block.type === 'code' || (block.type === 'shortcode' && block.code);
+    }
+
+    /**
+     * Get the intro: the paragraphs at the top of the article, before any
+     * heading, code, list, shortcode or other block
+     */
+    static getIntroBlocks(blocks) {
+        const intro = [];
+        for (const block of blocks) {
+            if (block.type !== 'paragraph') break;
+            intro.push(block);
+        }
+        return intro;
+    }
+
+    /**
+     * Find the first code block in a block or its shortcode children (null when there is none)
+     */
+    static findCode(block) {
+        let found = null;
+        MarkdownBlocks.walk([block], candidate => {
+            if (!found && MarkdownBlocks.isCode(candidate)) found = candidate;
+        });
+        return found;
+    }
+
+    /**
+     * Describe a code block in one line for prompts: the shortcode tag for gists,
+     * the language and first line for fenced or indented code
+     */
+    static describeCode(block) {
+        const lines = block.text.split('\n').map(line => line.trim());
+        if (block.type === 'shortcode') {
+            return lines[0];
+        }
+
+        const firstLine = lines.slice(block.fenced ? 1 : 0).find(line => line !== '' && !/^(`{3,}|~{3,})$/.test(line)) || '';
+        return `${block.lang || 'code'} block starting with: ${firstLine}`;
+    }
+
+    /**
+     * Get the conclusion: top-level paragraphs after the last code block or gist
+     * (lists, admonitions, tables and headings there are left alone)
+     * Returns [] when the article has no code to anchor the conclusion to
+     */
+    static getConclusionBlocks(blocks) {
+        let lastCodeIndex = -1;
+        blocks.forEach((block, index) => {
+            if (MarkdownBlocks.findCode(block)) lastCodeIndex = index;
+        });
+
+        if (lastCodeIndex === -1) {
+            return [];
+        }
+
+        return blocks.slice(lastCodeIndex + 1).filter(block => block.type === 'paragraph');
+    }
+
+    /**
+     * Get the explanatory text between intro and conclusion: runs of consecutive
+     * top-level paragraphs, each with the heading above it and the nearest code
+     * block before and after it in the same section as context
+     * Returns [{ start, end, blocks, heading, codeBefore, codeAfter }]
+     */
+    static getSectionBlocks(blocks) {
+        const excluded = new Set([...MarkdownBlocks.getIntroBlocks(blocks), ...MarkdownBlocks.getConclusionBlocks(blocks)]);
+        const sections = [];
+        let heading = null;
+        let codeBefore = null;
+        let current = null;
+        let awaitingCode = [];
+
+        for (const block of blocks) {
+            if (block.type === 'paragraph' && !excluded.has(block)) {
+                if (!current) {
+                    current = { start: block.start, end: block.end, blocks: [], heading: heading ? heading.title : null, codeBefore, codeAfter: null };
+                    sections.push(current);
+                    awaitingCode.push(current);
+                }
+                current.blocks.push(block);
+                current.end = block.end;
+                continue;
+            }
+            current = null;
+
+            // Code under the next heading belongs to another section
+            if (block.type === 'heading') {
+                heading = block;
+                codeBefore = null;
+                awaitingCode = [];
+            }
+
+            const code = MarkdownBlocks.findCode(block);
+            if (code) {
+                codeBefore = MarkdownBlocks.describeCode(code);
+                awaitingCode.forEach(section => { section.codeAfter = codeBefore; });
+                awaitingCode = [];
+            }
+        }
+
+        return sections;
+    }
+}
+
+module.exports = MarkdownBlocks;
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Rewrite Ledger
+ *
+ * Persistent record of every automated rewrite (date, run id, model, outcome)
+ * so article selection can rotate through the whole catalogue
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_VERSION = 1;
+const DEFAULT_LEDGER_PATH = path.resolve(__dirname, 'rewrite-ledger.json');
+const MAX_HISTORY_ENTRIES = 10;
+
+class RewriteLedger {
+    constructor(ledgerPath = process.env.REWRITE_LEDGER_PATH || DEFAULT_LEDGER_PATH) {
+        this.repoRoot = path.resolve(__dirname, '../../');
+        this.ledgerPath = ledgerPath;
+        this.articles = {};
+        this.load();
+    }
+
+    /**
+     * Load the ledger from disk (a missing file is an empty ledger)
+     */
+    load() {
+        if (!fs.existsSync(this.ledgerPath)) {
+            return;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.ledgerPath, 'utf8'));
+
+        if (data.version !== LEDGER_VERSION) {
+            throw new Error(`Unsupported rewrite ledger version ${data.version} in ${this.ledgerPath} (expected ${LEDGER_VERSION})`);
+        }
+
+        this.articles = data.articles || {};
+    }
+
+    /**
+     * Write the ledger back to disk with stable key order
+     */
+    save() {
+        const articles = {};
+        for (const key of Object.keys(this.articles).sort()) {
+            articles[key] = this.articles[key];
+        }
+
+        const data = {
+            version: LEDGER_VERSION,
+            updated: new Date().toISOString(),
+            articles
+        };
+
+        fs.writeFileSync(this.ledgerPath, JSON.stringify(data, null, 2) + '\n');
+    }
+
+    /**
+     * Ledger key for a file: repository-relative path with forward slashes
+     */
+    getKey(filePath) {
+        const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(this.repoRoot, filePath);
+        return path.relative(this.repoRoot, absolutePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Get the ledger entry for a file, or null if it was never processed
+     */
+    getEntry(filePath) {
+        return this.articles[this.getKey(filePath)] || null;
+    }
+
+    /**
+     * Date (YYYY-MM-DD) of the last successful rewrite, or null if never rewritten
+     */
+    getLastRewriteDate(filePath) {
+        const entry = this.getEntry(filePath);
+        return entry ? entry.lastRewrite : null;
+    }
+
+    /**
+     * Check whether the most recent attempt failed within the given number of days
+     */
+    failedWithin(filePath, days) {
+        const entry = this.getEntry(filePath);
+        if (!entry || !entry.lastAttempt || entry.lastAttempt.outcome !== 'failed') {
+            return false;
+        }
+
+        const thresholdDate = new Date();
+        thresholdDate.setDate(thresholdDate.getDate() - days);
+
+        return new Date(entry.lastAttempt.date) >= thresholdDate;
+    }
+
+    /**
+     * Record the outcome of a rewrite attempt
+     */
+    record(filePath, { runId, model, outcome, error = null }) {
+        const key = this.getKey(filePath);
+        const attempt = {
+            date: new Date().toISOString().split('T')[0],
+            runId: String(runId),
+            model,
+            outcome
+        };
+
+        if (error) {
+            attempt.error = error;
+        }
+
+        const entry = this.articles[key] || { lastRewrite: null, lastAttempt: null, history: [] };
+
+        if (outcome === 'success') {
+            entry.lastRewrite = attempt.date;
+        }
+
+        entry.lastAttempt = attempt;
+        entry.history = [attempt, ...entry.history].slice(0, MAX_HISTORY_ENTRIES);
+
+        this.articles[key] = entry;
+        return entry;
+    }
+}
+
+module.exports = RewriteLedger;
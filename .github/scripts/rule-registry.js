@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Rule Registry
+ *
+ * Validation rules with an id, a description, a default severity and the scopes
+ * they run in (`rewrite`, `translation`, `lint`). Severities can be overridden per
+ * rule, per language and per product in the `rules` section of
+ * kb-workflows.config.json, and teams can add rules from a local directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config.js');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+const SCOPES = ['rewrite', 'translation', 'lint'];
+
+// Overridable via the `rules` section of kb-workflows.config.json
+const DEFAULT_RULES_CONFIG = {
+    severity: {},                       // { ruleId: severity } for every article
+    languages: {},                      // { language: { ruleId: severity } }
+    products: {},                       // { productKey: { ruleId: severity } }
+    customRulesDir: 'validation-rules'  // relative to the scripts directory
+};
+
+class RuleRegistry {
+    constructor(config = loadConfig('rules', DEFAULT_RULES_CONFIG)) {
+        this.config = config;
+        this.rules = new Map();
+    }
+
+    /**
+     * Register a rule: { id, description, severity, scopes, check? }
+     * check(context, report) is only needed for rules the validators run generically (custom rules)
+     */
+    register(rule) {
+        if (!rule || typeof rule.id !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(rule.id)) {
+            throw new Error(`Invalid rule id: ${rule && rule.id} (use lower-case words separated by dashes)`);
+        }
+        if (this.rules.has(rule.id)) {
+            throw new Error(`Duplicate validation rule: ${rule.id}`);
+        }
+        if (!SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Invalid severity for rule ${rule.id}: ${rule.severity} (expected ${SEVERITIES.join(', ')})`);
+        }
+
+        const scopes = rule.scopes || [];
+        const unknownScope = scopes.find(scope => !SCOPES.includes(scope));
+        if (scopes.length === 0 || unknownScope) {
+            throw new Error(`Invalid scopes for rule ${rule.id}: ${unknownScope || 'none'} (expected ${SCOPES.join(', ')})`);
+        }
+        if (rule.check !== undefined && typeof rule.check !== 'function') {
+            throw new Error(`Rule ${rule.id} has a check that is not a function`);
+        }
+
+        this.rules.set(rule.id, { description: '', ...rule, scopes });
+        return this;
+    }
+
+    /**
+     * Register several rules
+     */
+    registerAll(rules) {
+        rules.forEach(rule => this.register(rule));
+        return this;
+    }
+
+    /**
+     * Load custom rules: every .js file in the directory exports a rule or an array of rules
+     * A missing directory means there are no custom rules
+     */
+    loadCustomRules(directory = this.config.customRulesDir) {
+        if (!directory) {
+            return this;
+        }
+
+        const rulesDir = path.resolve(__dirname, directory);
+        if (!fs.existsSync(rulesDir)) {
+            return this;
+        }
+
+        for (const file of fs.readdirSync(rulesDir).filter(name => name.endsWith('.js')).sort()) {
+            const exported = require(path.join(rulesDir, file));
+            const rules = Array.isArray(exported) ? exported : [exported];
+
+            for (const rule of rules) {
+                try {
+                    this.register(rule);
+                } catch (error) {
+                    throw new Error(`Custom rule in ${path.join(directory, file)}: ${error.message}`);
+                }
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Get a rule by id (throws for unknown ids, which are programming errors)
+     */
+    get(id) {
+        const rule = this.rules.get(id);
+        if (!rule) {
+            throw new Error(`Unknown validation rule: ${id}`);
+        }
+        return rule;
+    }
+
+    /**
+     * List the rules that run in a scope (all rules without a scope)
+     */
+    list(scope = null) {
+        return [...this.rules.values()].filter(rule => !scope || rule.scopes.includes(scope));
+    }
+
+    /**
+     * Resolve the severity of a rule for an article
+     * Later overrides win: default, then `severity`, then `languages`, then `products`
+     */
+    resolveSeverity(id, { language = null, product = null } = {}) {
+        const { severity = {}, languages = {}, products = {} } = this.config;
+        const overrides = [
+            severity[id],
+            language && languages[language] ? languages[language][id] : undefined,
+            product && products[product] ? products[product][id] : undefined
+        ].filter(value => value !== undefined);
+
+        const resolved = overrides.length > 0 ? overrides[overrides.length - 1] : this.get(id).severity;
+        if (!SEVERITIES.includes(resolved)) {
+            throw new Error(`Invalid severity override for rule ${id}: ${resolved} (expected ${SEVERITIES.join(', ')})`);
+        }
+        return resolved;
+    }
+}
+
+RuleRegistry.SEVERITIES = SEVERITIES;
+RuleRegistry.SCOPES = SCOPES;
+
+module.exports = RuleRegistry;
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Text Diff
+ *
+ * Line-based Myers diff with unified patch output (applicable with `git apply`)
+ * and a self-contained side-by-side HTML preview
+ */
+
+const DEFAULT_CONTEXT_LINES = 3;
+const NO_NEWLINE_MARKER = '\u0000';
+
+/**
+ * Split text into lines, remembering whether the last line ended with a newline
+ */
+function splitLines(text) {
+    if (text === '') {
+        return { lines: [], endsWithNewline: true };
+    }
+
+    const endsWithNewline = text.endsWith('\n');
+    const lines = (endsWithNewline ? text.slice(0, -1) : text).split('\n');
+    return { lines, endsWithNewline };
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class TextDiff {
+    /**
+     * Diff two line arrays (Myers O(ND) algorithm)
+     * Returns [{ type: 'equal' | 'delete' | 'insert', line, oldIndex, newIndex }]
+     */
+    static diffLines(oldLines, newLines) {
+        const n = oldLines.length;
+        const m = newLines.length;
+        const max = n + m;
+        const offset = max + 1;
+        const frontier = new Array(2 * max + 3).fill(0);
+        const trace = [];
+
+        let found = n === 0 && m === 0;
+        for (let d = 0; d <= max && !found; d++) {
+            trace.push(frontier.slice());
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1])
+                    ? frontier[offset + k + 1]
+                    : frontier[offset + k - 1] + 1;
+                let y = x - k;
+
+                while (x < n && y < m && oldLines[x] === newLines[y]) {
+                    x++;
+                    y++;
+                }
+
+                frontier[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        // Walk the trace backwards to recover the edit script
+        const ops = [];
+        let x = n;
+        let y = m;
+
+        for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+            const previous = trace[d];
+            const k = x - y;
+            const prevK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+            const prevX = d === 0 ? 0 : previous[offset + prevK];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+                ops.push({ type: 'equal', line: oldLines[x], oldIndex: x, newIndex: y });
+            }
+
+            if (d > 0) {
+                if (x === prevX) {
+                    y--;
+                    ops.push({ type: 'insert', line: newLines[y], oldIndex: x, newIndex: y });
+                } else {
+                    x--;
+                    ops.push({ type: 'delete', line: oldLines[x], oldIndex: x, newIndex: y });
+                }
+            }
+        }
+
+        return ops.reverse();
+    }
+
+    /**
+     * Group diff operations into hunks with the given number of context lines
+     */
+    static buildHunks(ops, context = DEFAULT_CONTEXT_LINES) {
+        const hunks = [];
+        let current = null;
+
+        ops.forEach((op, index) => {
+            if (op.type === 'equal') {
+                return;
+            }
+
+            const from = Math.max(0, index - context);
+            if (current && from <= current.to + 1) {
+                current.to = Math.min(ops.length - 1, index + context);
+            } else {
+                current = { from, to: Math.min(ops.length - 1, index + context) };
+                hunks.push(current);
+            }
+        });
+
+        return hunks.map(({ from, to }) => {
+            const hunkOps = ops.slice(from, to + 1);
+            const first = hunkOps[0];
+            return {
+                oldStart: first.oldIndex,
+                newStart: first.newIndex,
+                oldCount: hunkOps.filter(op => op.type !== 'insert').length,
+                newCount: hunkOps.filter(op => op.type !== 'delete').length,
+                ops: hunkOps
+            };
+        });
+    }
+
+    /**
+     * Create a unified diff for one file (empty string when nothing changed)
+     */
+    static unified(oldText, newText, filePath, context = DEFAULT_CONTEXT_LINES) {
+        if (oldText === newText) {
+            return '';
+        }
+
+        // A final line without a newline must not match the same text with one,
+        // so it is compared with a marker appended
+        const markLines = text => {
+            const { lines, endsWithNewline } = splitLines(text);
+            if (!endsWithNewline) {
+                lines[lines.length - 1] += NO_NEWLINE_MARKER;
+            }
+            return lines;
+        };
+        const ops = TextDiff.diffLines(markLines(oldText), markLines(newText));
+
+        const output = [
+            `diff --git a/${filePath} b/${filePath}`,
+            `--- a/${filePath}`,
+            `+++ b/${filePath}`
+        ];
+
+        for (const hunk of TextDiff.buildHunks(ops, context)) {
+            const oldStart = hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart + 1;
+            const newStart = hunk.newCount === 0 ? hunk.newStart : hunk.newStart + 1;
+            output.push(`@@ -${oldStart},${hunk.oldCount} +${newStart},${hunk.newCount} @@`);
+
+            for (const op of hunk.ops) {
+                const prefix = op.type === 'equal' ? ' ' : (op.type === 'delete' ? '-' : '+');
+                if (op.line.endsWith(NO_NEWLINE_MARKER)) {
+                    output.push(prefix + op.line.slice(0, -NO_NEWLINE_MARKER.length), '\\ No newline at end of file');
+                } else {
+                    output.push(prefix + op.line);
+                }
+            }
+        }
+
+        return output.join('\n') + '\n';
+    }
+
+    /**
+     * Pair up deleted and inserted lines so changed lines sit side by side
+     * Returns rows of { type, oldNumber, oldLine, newNumber, newLine }
+     */
+    static sideBySideRows(oldText, newText) {
+        const ops = TextDiff.diffLines(splitLines(oldText).lines, splitLines(newText).lines);
+        const rows = [];
+        let deleted = [];
+        let inserted = [];
+
+        const flush = () => {
+            for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+                const oldOp = deleted[i];
+                const newOp = inserted[i];
+                rows.push({
+                    type: oldOp && newOp ? 'change' : (oldOp ? 'delete' : 'insert'),
+                    oldNumber: oldOp ? oldOp.oldIndex + 1 : null,
+                    oldLine: oldOp ? oldOp.line : null,
+                    newNumber: newOp ? newOp.newIndex + 1 : null,
+                    newLine: newOp ? newOp.line : null
+                });
+            }
+            deleted = [];
+            inserted = [];
+        };
+
+        for (const op of ops) {
+            if (op.type === 'delete') {
+                deleted.push(op);
+            } else if (op.type === 'insert') {
+                inserted.push(op);
+            } else {
+                flush();
+                rows.push({ type: 'equal', oldNumber: op.oldIndex + 1, oldLine: op.line, newNumber: op.newIndex + 1, newLine: op.line });
+            }
+        }
+        flush();
+
+        return rows;
+    }
+
+    /**
+     * Render a side-by-side HTML preview for several files: [{ filePath, oldText, newText, notes }]
+     */
+    static sideBySideHtml(files, title = 'Diff preview') {
+        const sections = files.map(file => {
+            const rows = TextDiff.sideBySideRows(file.oldText, file.newText).map(row => {
+                const cell = (number, line, side) => {
+                    const highlighted = row.type !== 'equal' && line !== null ? ` class="${side}"` : '';
+                    return `<td class="num">${number || ''}</td><td${highlighted}>${line === null ? '' : escapeHtml(line)}</td>`;
+                };
+                return `<tr>${cell(row.oldNumber, row.oldLine, 'del')}${cell(row.newNumber, row.newLine, 'ins')}</tr>`;
+            });
+            const notes = (file.notes || []).map(note => `<li>${escapeHtml(note)}</li>`).join('');
+
+            return [
+                `<h2>${escapeHtml(file.filePath)}</h2>`,
+                notes ? `<ul class="notes">${notes}</ul>` : '',
+                '<table>',
+                '<colgroup><col class="numcol"><col><col class="numcol"><col></colgroup>',
+                '<tr><th></th><th>Original</th><th></th><th>Rewritten</th></tr>',
+                ...rows,
+                '</table>'
+            ].join('\n');
+        });
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", sans-serif; margin: 2em; }
+table { border-collapse: collapse; width: 100%; table-layout: fixed; margin-bottom: 2em; }
+td, th { font-family: monospace; font-size: 13px; white-space: pre-wrap; word-wrap: break-word; vertical-align: top; padding: 1px 6px; border: 1px solid #eee; }
+col.numcol { width: 3.5em; }
+td.num { color: #999; text-align: right; }
+td.del { background: #ffebe9; }
+td.ins { background: #dafbe1; }
+ul.notes { color: #9a6700; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${sections.join('\n') || '<p>No changes.</p>'}
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = TextDiff;
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Text Metrics
+ *
+ * Local, dependency-free measurements of prose: word and sentence counts,
+ * syllables, readability (Flesch reading ease, sentence length, passive voice),
+ * word-frequency and TF-IDF cosine similarity,
+ * token overlap and the numbers and named entities a text mentions.
+ * Markdown links, shortcodes and inline code are reduced to their visible text first.
+ */
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu;
+const SENTENCE_END = /[.!?]+(?=\s|$)/g;
+const NUMBER_PATTERN = /\d+(?:[.,]\d+)*/g;
+
+// A form of "to be", optionally an adverb, then a past participle (regular -ed or a common irregular one)
+const PASSIVE_VOICE = new RegExp(
+    '\\b(?:am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?' +
+    '(?:\\w+ed|built|chosen|done|drawn|found|given|held|kept|known|left|made|read|run|seen|sent|set|shown|taken|thrown|written)\\b',
+    'i'
+);
+
+// Function words carry no meaning of their own and are left out of overlap and TF-IDF
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'both',
+    'but', 'by', 'can', 'could', 'do', 'does', 'each', 'for', 'from', 'has', 'have', 'how', 'if', 'in', 'into',
+    'is', 'it', 'its', 'just', 'may', 'more', 'most', 'must', 'not', 'of', 'on', 'once', 'only', 'or', 'other',
+    'our', 'out', 'own', 'same', 'should', 'so', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+    'these', 'they', 'this', 'those', 'through', 'to', 'too', 'up', 'us', 'using', 'very', 'was', 'we', 'well',
+    'were', 'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+class TextMetrics {
+    /**
+     * Reduce markdown to plain prose: drop shortcodes, HTML tags, link targets and emphasis markers
+     */
+    static toPlainText(text) {
+        return text
+            .replace(/\{\{[<%][\s\S]*?[>%]\}\}/g, ' ')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/[*_~#>]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Split text into words (markdown is stripped first)
+     */
+    static words(text) {
+        return TextMetrics.toPlainText(text).match(WORD_PATTERN) || [];
+    }
+
+    /**
+     * Split text into sentences (markdown is stripped first)
+     */
+    static sentences(text) {
+        return TextMetrics.toPlainText(text)
+            .split(SENTENCE_END)
+            .map(sentence => sentence.trim())
+            .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+    }
+
+    /**
+     * Estimate the syllables of an English word (vowel groups, minus a silent final e)
+     */
+    static syllables(word) {
+        const lower = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (lower.length === 0) {
+            return 0;
+        }
+        if (lower.length <= 3) {
+            return 1;
+        }
+
+        const groups = lower
+            .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+            .replace(/^y/, '')
+            .match(/[aeiouy]{1,2}/g);
+
+        return Math.max(1, groups ? groups.length : 0);
+    }
+
+    /**
+     * Flesch reading ease (higher is easier; 60-70 is plain English)
+     * Returns null for text without words
+     */
+    static fleschReadingEase(text) {
+        const words = TextMetrics.words(text);
+        if (words.length === 0) {
+            return null;
+        }
+
+        const sentenceCount = Math.max(1, TextMetrics.sentences(text).length);
+        const syllableCount = words.reduce((sum, word) => sum + TextMetrics.syllables(word), 0);
+
+        return 206.835 - 1.015 * (words.length / sentenceCount) - 84.6 * (syllableCount / words.length);
+    }
+
+    /**
+     * Average number of words per sentence (0 for text without words)
+     */
+    static averageSentenceLength(text) {
+        const words = TextMetrics.words(text).length;
+        return words === 0 ? 0 : words / Math.max(1, TextMetrics.sentences(text).length);
+    }
+
+    /**
+     * Share of sentences written in the passive voice (0..1)
+     */
+    static passiveVoiceRatio(text) {
+        const sentences = TextMetrics.sentences(text);
+        if (sentences.length === 0) {
+            return 0;
+        }
+        return sentences.filter(sentence => PASSIVE_VOICE.test(sentence)).length / sentences.length;
+    }
+
+    /**
+     * Readability summary: { fleschReadingEase, averageSentenceLength, passiveVoiceRatio }
+     */
+    static readability(text) {
+        const round = (value, digits) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+        return {
+            fleschReadingEase: round(TextMetrics.fleschReadingEase(text), 1),
+            averageSentenceLength: round(TextMetrics.averageSentenceLength(text), 1),
+            passiveVoiceRatio: round(TextMetrics.passiveVoiceRatio(text), 3)
+        };
+    }
+
+    /**
+     * Count lower-cased word frequencies
+     */
+    static termFrequencies(text) {
+        const frequencies = new Map();
+        for (const word of TextMetrics.words(text)) {
+            const term = word.toLowerCase();
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+        return frequencies;
+    }
+
+    /**
+     * Cosine similarity of two term-weight maps (0..1)
+     */
+    static cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (const [term, weight] of a) {
+            normA += weight * weight;
+            if (b.has(term)) {
+                dot += weight * b.get(term);
+            }
+        }
+        for (const weight of b.values()) {
+            normB += weight * weight;
+        }
+
+        return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+    }
+
+    /**
+     * Word-frequency cosine similarity of two texts (0..1)
+     */
+    static similarity(a, b) {
+        return TextMetrics.cosineSimilarity(TextMetrics.termFrequencies(a), TextMetrics.termFrequencies(b));
+    }
+
+    /**
+     * Lower-cased words without stop words
+     */
+    static contentTerms(text) {
+        return TextMetrics.words(text).map(word => word.toLowerCase()).filter(word => !STOP_WORDS.has(word));
+    }
+
+    /**
+     * Jaccard overlap of the content terms of two texts (0..1, 1 when both have none)
+     */
+    static tokenOverlap(a, b) {
+        const termsA = new Set(TextMetrics.contentTerms(a));
+        const termsB = new Set(TextMetrics.contentTerms(b));
+        if (termsA.size === 0 && termsB.size === 0) {
+            return 1;
+        }
+
+        const shared = [...termsA].filter(term => termsB.has(term)).length;
+        return shared / (termsA.size + termsB.size - shared);
+    }
+
+    /**
+     * Smoothed inverse document frequency of every content term in a set of documents
+     * Terms missing from the map should get TextMetrics.unseenIdf(documents.length)
+     */
+    static inverseDocumentFrequencies(documents) {
+        const documentFrequencies = new Map();
+        for (const document of documents) {
+            for (const term of new Set(TextMetrics.contentTerms(document))) {
+                documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+            }
+        }
+
+        const idf = new Map();
+        for (const [term, frequency] of documentFrequencies) {
+            idf.set(term, Math.log((1 + documents.length) / (1 + frequency)) + 1);
+        }
+        return idf;
+    }
+
+    /**
+     * IDF of a term that appears in none of the documents
+     */
+    static unseenIdf(documentCount) {
+        return Math.log(1 + documentCount) + 1;
+    }
+
+    /**
+     * TF-IDF cosine similarity of two texts, with IDF taken from the given documents (0..1)
+     */
+    static tfidfCosine(a, b, documents = [a, b]) {
+        const idf = TextMetrics.inverseDocumentFrequencies(documents);
+        const unseen = TextMetrics.unseenIdf(documents.length);
+        const vector = text => {
+            const weights = new Map();
+            for (const term of TextMetrics.contentTerms(text)) {
+                weights.set(term, (weights.get(term) || 0) + (idf.get(term) || unseen));
+            }
+            return weights;
+        };
+
+        return TextMetrics.cosineSimilarity(vector(a), vector(b));
+    }
+
+    /**
+     * Numbers mentioned in the text (versions, counts, sizes), in order of appearance
+     */
+    static numbers(text) {
+        return TextMetrics.toPlainText(text).match(NUMBER_PATTERN) || [];
+    }
+
+    /**
+     * Named entities: inline code, dotted or CamelCase identifiers and capitalised
+     * words that do not start a sentence
+     */
+    static entities(text) {
+        const entities = new Set();
+
+        for (const match of text.matchAll(/`([^`\n]+)`/g)) {
+            entities.add(match[1]);
+        }
+
+        const plain = TextMetrics.toPlainText(text);
+        for (const match of plain.matchAll(/\b[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)+\b|\b[a-z]+[A-Z]\w*\b|\b[A-Z][a-z0-9]+[A-Z]\w*\b/g)) {
+            entities.add(match[0]);
+        }
+        for (const match of plain.matchAll(/(^|[.!?:]\s+|\s)([A-Z][\w-]*)/g)) {
+            const startsSentence = match.index === 0 || /[.!?:]/.test(match[1]);
+            if (!startsSentence) {
+                entities.add(match[2]);
+            }
+        }
+
+        return [...entities];
+    }
+}
+
+module.exports = TextMetrics;
@@ -3,20 +3,15 @@
 /**
  * Translation Article Detector
  * 
- * Identifies recently added/modified articles in content/en/{product}/{java|net} 
+ * Identifies recently added/modified articles in content/en/{product}/{platform} 
  * from a single date for translation workflow
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-
-// Available products
-const PRODUCTS = [
-    'annotation', 'comparison', 
-    'conversion', 'editor', 'merger', 'metadata', 
-    'parser', 'viewer', 'signature', 'total'
-];
+const ContentCatalog = require('./content-catalog.js');
+const GitHistory = require('./git-history.js');
+const FrontMatter = require('./front-matter.js');
 
 class TranslationDetector {
     constructor() {
@@ -26,7 +21,8 @@ class TranslationDetector {
             'ar', 'bg', 'cs', 'de', 'el', 'es', 'fa', 'fr', 'hi', 'hr', 'hu', 'hy',
             'id', 'it', 'ja', 'ko', 'lt', 'nl', 'pl', 'pt', 'ru', 'sv', 'th', 'tr', 'uk', 'vi', 'zh'
         ];
-        this.platforms = ['java', 'net'];
+        this.catalog = new ContentCatalog(this.contentEnPath);
+        this.gitHistory = GitHistory.shared(this.repoRoot);
     }
 
     /**
@@ -34,16 +30,8 @@ class TranslationDetector {
      */
     getLastCommitDate(filePath) {
         try {
-            const relativePath = path.relative(this.repoRoot, filePath);
-            const result = execSync(
-                `git log -1 --format="%ad" --date=short -- "${relativePath}"`,
-                { 
-                    cwd: this.repoRoot, 
-                    encoding: 'utf8' 
-                }
-            ).trim();
-            
-            return result.replace(/"/g, '') || null;
+            const commit = this.gitHistory.getLastCommit(filePath);
+            return commit ? commit.authorDate.split('T')[0] : null;
         } catch (error) {
             console.error(`Error getting commit date for ${filePath}:`, error.message);
             return null;
@@ -65,18 +53,12 @@ class TranslationDetector {
         
         const articlesForTranslation = [];
 
-        // Check all products
-        for (const product of PRODUCTS) {
+        // Check every discovered product and platform
+        for (const product of this.catalog.getProducts()) {
             console.log(`Scanning product: ${product}`);
             
-            // Check both java and net platforms for each product
-            for (const platform of this.platforms) {
+            for (const platform of this.catalog.getPlatforms(product)) {
                 const platformPath = path.join(this.contentEnPath, product, platform);
-                
-                if (!fs.existsSync(platformPath)) {
-                    console.log(`Platform path does not exist: ${platformPath}`);
-                    continue;
-                }
 
                 console.log(`  - Scanning ${product}/${platform}`);
                 const articles = this.scanDirectory(platformPath, targetDate, product);
@@ -131,18 +113,15 @@ class TranslationDetector {
             const content = fs.readFileSync(filePath, 'utf8');
             const relativePath = path.relative(this.repoRoot, filePath);
             
-            // Extract front matter - handle both Unix (\n) and Windows (\r\n) line endings
-            const frontMatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
-            if (!frontMatterMatch) {
+            if (!FrontMatter.hasFrontMatter(content)) {
                 console.warn(`No front matter found in: ${filePath}`);
                 return null;
             }
 
-            const frontMatter = frontMatterMatch[1];
-            const titleMatch = frontMatter.match(/^title:\s*"(.+)"$/m);
-            const platformMatch = frontMatter.match(/^platformkey:\s*"(.+)"$/m);
+            const frontMatter = FrontMatter.parse(content);
+            const title = frontMatter.get('title');
             
-            if (!titleMatch || !platformMatch) {
+            if (!title || !frontMatter.get('platformkey')) {
                 console.warn(`Missing title or platform in: ${filePath}`);
                 return null;
             }
@@ -153,7 +132,7 @@ class TranslationDetector {
             const articlePath = pathParts.slice(4).join('/'); // remaining path after platform
 
             return {
-                title: titleMatch[1],
+                title: String(title),
                 product: product,
                 platform: platform,
                 articlePath: articlePath,
@@ -212,6 +191,7 @@ class TranslationDetector {
                 targetDate: targetDate || new Date(Date.now() - 86400000).toISOString().split('T')[0],
                 totalArticles: articles.length,
                 totalTasks: translationTasks.length,
+                platforms: ContentCatalog.countByPlatform(translationTasks),
                 tasks: translationTasks
             };
 
@@ -9,18 +9,21 @@
 
 const fs = require('fs');
 const path = require('path');
+const LLMClient = require('./llm-client.js');
 const LLMTranslator = require('./llm-translator');
+const FrontMatter = require('./front-matter.js');
 
 class TranslationProcessor {
-    constructor() {
+    constructor(options = {}) {
         this.repoRoot = path.resolve(__dirname, '../../');
-        this.translator = new LLMTranslator();
+        this.translator = new LLMTranslator(options.client);
         this.processedCount = 0;
         this.errorCount = 0;
         this.totalTranslations = 0;
         this.successfulTranslations = 0;
         this.failedTranslations = 0;
         this.failedLanguagesDetails = [];
+        this.pendingTranslations = [];      // languages left untranslated when the LLM budget ran out
     }
 
     /**
@@ -44,19 +47,33 @@ class TranslationProcessor {
 
             console.log(`Starting translation processing for ${tasks.length} articles...`);
 
+            const usage = this.translator.client.usage;
+
             // Process each article
             for (const task of tasks) {
+                // Once the budget is spent, the remaining articles are left for the next run
+                if (usage.isExhausted()) {
+                    this.addPendingTranslation(task, task.targetLanguages);
+                    continue;
+                }
+
                 console.log(`\nProcessing: ${task.title} (${task.product}/${task.platform})`);
                 console.log(`Target languages: ${task.targetLanguages.join(', ')}`);
+                usage.setScope({ article: task.relativePath || task.title, language: null });
                 
                 try {
                     await this.processArticleTranslation(task);
                     this.processedCount++;
                 } catch (error) {
+                    if (error.budgetExhausted) {
+                        console.warn(`LLM budget exhausted while processing ${task.title}: ${error.message}`);
+                        continue;
+                    }
                     console.error(`Critical error processing ${task.title}:`, error.message);
                     this.errorCount++;
                 }
             }
+            usage.setScope({ article: null, language: null });
 
             console.log(`\nTranslation processing completed:`);
             console.log(`- Articles processed: ${this.processedCount}/${tasks.length}`);
@@ -64,7 +81,12 @@ class TranslationProcessor {
             console.log(`- Total language translations: ${this.totalTranslations}`);
             console.log(`- Successful translations: ${this.successfulTranslations}`);
             console.log(`- Failed translations: ${this.failedTranslations}`);
-            console.log(`- Success rate: ${((this.successfulTranslations / this.totalTranslations) * 100).toFixed(1)}%`);
+            console.log(`- Success rate: ${this.getSuccessRate()}%`);
+            console.log(`- LLM usage: ${usage.formatTotals()}`);
+            const cacheStats = this.translator.client.getCacheStats();
+            if (cacheStats) {
+                console.log(`- LLM cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
+            }
 
             if (this.failedLanguagesDetails.length > 0) {
                 console.log(`\nFailed translation details:`);
@@ -81,6 +103,13 @@ class TranslationProcessor {
                 });
             }
 
+            if (this.pendingTranslations.length > 0) {
+                console.warn(`\nLLM budget exhausted, pending translations left for the next run:`);
+                this.pendingTranslations.forEach(pending => {
+                    console.warn(`  ${pending.article}: ${pending.languages.join(', ')}`);
+                });
+            }
+
             // Generate processing report
             this.generateProcessingReport(tasks);
 
@@ -91,7 +120,9 @@ class TranslationProcessor {
                 totalTranslations: this.totalTranslations,
                 successfulTranslations: this.successfulTranslations,
                 failedTranslations: this.failedTranslations,
-                failedLanguagesDetails: this.failedLanguagesDetails
+                failedLanguagesDetails: this.failedLanguagesDetails,
+                budgetExhausted: usage.isExhausted(),
+                pendingTranslations: this.pendingTranslations
             };
         } catch (error) {
             console.error('Error in translation processing:', error.message);
@@ -111,11 +142,23 @@ class TranslationProcessor {
         let failedLanguages = [];
 
         // Process translation for each target language with resilient error handling
-        for (const targetLang of task.targetLanguages) {
+        for (const [index, targetLang] of task.targetLanguages.entries()) {
             console.log(`  Translating to ${targetLang}...`);
-            this.totalTranslations++;
+            this.translator.client.usage.setScope({ language: targetLang });
+            
+            let success;
+            try {
+                success = await this.translateWithRetry(task, parsedContent, targetLang);
+            } catch (error) {
+                // Languages saved so far stay; this one and the rest are recorded as pending
+                if (error.budgetExhausted) {
+                    this.addPendingTranslation(task, task.targetLanguages.slice(index));
+                    console.log(`  Summary: ${successCount}/${task.targetLanguages.length} languages translated successfully`);
+                }
+                throw error;
+            }
             
-            const success = await this.translateWithRetry(task, parsedContent, targetLang);
+            this.totalTranslations++;
             if (success) {
                 successCount++;
                 this.successfulTranslations++;
@@ -166,6 +209,9 @@ class TranslationProcessor {
                 return true; // Success
                 
             } catch (error) {
+                if (error.budgetExhausted) {
+                    throw error;
+                }
                 console.error(`    ✗ Attempt ${attempt} failed:`, error.message);
                 
                 if (attempt < maxAttempts) {
@@ -191,6 +237,9 @@ class TranslationProcessor {
                             return true;
                         }
                     } catch (troubleshootError) {
+                        if (troubleshootError.budgetExhausted) {
+                            throw troubleshootError;
+                        }
                         console.error(`    ✗ Troubleshooting attempt also failed:`, troubleshootError.message);
                     }
                 }
@@ -201,6 +250,19 @@ class TranslationProcessor {
         return false;
     }
 
+    /**
+     * Record languages of an article that were not translated because the LLM budget ran out
+     */
+    addPendingTranslation(task, languages) {
+        this.pendingTranslations.push({
+            article: task.title,
+            relativePath: task.relativePath,
+            product: task.product,
+            platform: task.platform,
+            languages
+        });
+    }
+
     /**
      * Sleep utility for retry delays
      */
@@ -230,6 +292,9 @@ class TranslationProcessor {
                 content: result
             };
         } catch (error) {
+            if (error.budgetExhausted) {
+                throw error;
+            }
             return {
                 success: false,
                 error: error.message
@@ -242,7 +307,8 @@ class TranslationProcessor {
      */
     createTroubleshootingPrompt(parsedContent, targetLang, error) {
         return {
-            frontMatter: parsedContent.frontMatter,
+            frontMatter: parsedContent.frontMatter.raw,
+            format: parsedContent.frontMatter.format,
             // Use only the first few sections to reduce complexity
             sections: parsedContent.sections.slice(0, 3),
             targetLanguage: targetLang,
@@ -255,14 +321,12 @@ class TranslationProcessor {
      * Parse markdown content into structured sections
      */
     parseMarkdownContent(content) {
-        // Extract frontmatter - handle both Unix (\n) and Windows (\r\n) line endings
-        const frontMatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
-        if (!frontMatterMatch) {
+        if (!FrontMatter.hasFrontMatter(content)) {
             throw new Error('No frontmatter found in the article');
         }
 
-        const frontMatter = frontMatterMatch[1];
-        const bodyContent = content.substring(frontMatterMatch[0].length).trim();
+        const frontMatter = FrontMatter.parse(content);
+        const bodyContent = frontMatter.body.trim();
 
         // Split body into sections (headings and paragraphs)
         const sections = this.parseContentSections(bodyContent);
@@ -430,8 +494,15 @@ class TranslationProcessor {
             this.translator.enableDetailedLogging = true;
         }
         // Protect template directives, shortcodes, code blocks and inline code in frontmatter
-        const frontMatterProtection = this.extractPlaceholders(parsedContent.frontMatter);
-        const frontMatterForTranslation = frontMatterProtection.text;
+        const frontMatterMaps = {};
+        const frontMatterForTranslation = this.mapFrontmatterFields(
+            this.getTranslatableFields(parsedContent.frontMatter),
+            (value, fieldKey) => {
+                const protection = this.extractPlaceholders(value);
+                frontMatterMaps[fieldKey] = protection.map;
+                return protection.text;
+            }
+        );
 
         const translatedFrontmatterRaw = await this.translator.translateFrontmatter(
             frontMatterForTranslation,
@@ -439,7 +510,10 @@ class TranslationProcessor {
         );
 
         // Restore protected placeholders in translated frontmatter
-        const translatedFrontmatter = this.restorePlaceholders(translatedFrontmatterRaw, frontMatterProtection.map);
+        const translatedFrontmatter = this.mapFrontmatterFields(
+            translatedFrontmatterRaw,
+            (value, fieldKey) => this.restorePlaceholders(value, frontMatterMaps[fieldKey])
+        );
 
         console.log(`    Translating content sections...`);
         const translatedSections = [];
@@ -514,44 +588,66 @@ class TranslationProcessor {
         };
     }
 
+    /**
+     * Collect the translatable frontmatter fields: title, description, keywords and step1..N
+     */
+    getTranslatableFields(frontMatter) {
+        const data = frontMatter.data;
+        const steps = {};
+
+        for (const [key, value] of Object.entries(data)) {
+            if (/^step\d+$/.test(key) && typeof value === 'string' && value.trim() !== '') {
+                steps[key] = value;
+            }
+        }
+
+        return {
+            title: data.title ? String(data.title) : '',
+            description: data.description ? String(data.description) : '',
+            keywords: Array.isArray(data.keywords) ? data.keywords.map(String) : [],
+            steps
+        };
+    }
+
+    /**
+     * Apply fn(value, fieldKey) to every string of a translatable fields object
+     */
+    mapFrontmatterFields(fields, fn) {
+        const steps = {};
+        for (const [stepKey, stepValue] of Object.entries(fields.steps || {})) {
+            steps[stepKey] = fn(stepValue, stepKey);
+        }
+
+        return {
+            title: fn(fields.title, 'title'),
+            description: fn(fields.description, 'description'),
+            keywords: (fields.keywords || []).map((keyword, index) => fn(keyword, `keywords.${index}`)),
+            steps
+        };
+    }
+
     /**
      * Build translated frontmatter by replacing translated fields
+     * Returns a copy of the original frontmatter; untouched fields keep their exact formatting
      */
     buildTranslatedFrontmatter(originalFrontmatter, translations) {
-        let translatedFrontmatter = originalFrontmatter;
+        const translatedFrontmatter = FrontMatter.parse(originalFrontmatter.toString());
 
-        // Replace title
         if (translations.title) {
-            translatedFrontmatter = translatedFrontmatter.replace(
-                /title:\s*"(.+)"/,
-                `title: "${translations.title}"`
-            );
+            translatedFrontmatter.set('title', translations.title.trim());
         }
 
-        // Replace description
         if (translations.description) {
-            translatedFrontmatter = translatedFrontmatter.replace(
-                /description:\s*"(.+)"/,
-                `description: "${translations.description}"`
-            );
+            translatedFrontmatter.set('description', translations.description.trim());
         }
 
-        // Replace keywords
-        if (translations.keywords) {
-            translatedFrontmatter = translatedFrontmatter.replace(
-                /keywords:\s*\[([\s\S]*?)\]/,
-                `keywords: [\n    ${translations.keywords}\n    ]`
-            );
+        if (translations.keywords && translations.keywords.length > 0) {
+            translatedFrontmatter.set('keywords', translations.keywords);
         }
 
-        // Replace steps
         for (const [stepKey, stepValue] of Object.entries(translations.steps)) {
             if (stepValue) {
-                const stepPattern = new RegExp(`${stepKey}:\\s*"(.+)"`);
-                translatedFrontmatter = translatedFrontmatter.replace(
-                    stepPattern,
-                    `${stepKey}: "${stepValue}"`
-                );
+                translatedFrontmatter.set(stepKey, stepValue.trim());
             }
         }
 
@@ -585,7 +681,7 @@ class TranslationProcessor {
      */
     saveTranslatedArticle(translatedContent, outputPath) {
         // Build final content
-        let finalContent = '---\n' + translatedContent.frontMatter + '\n---\n\n';
+        let finalContent = translatedContent.frontMatter.renderBlock() + '\n\n';
         
         // Add sections
         for (const section of translatedContent.sections) {
@@ -599,6 +695,15 @@ class TranslationProcessor {
         fs.writeFileSync(outputPath, finalContent, 'utf8');
     }
 
+    /**
+     * Share of successful language translations in percent (0 when none finished, e.g. the budget ran out first)
+     */
+    getSuccessRate() {
+        return this.totalTranslations > 0
+            ? parseFloat(((this.successfulTranslations / this.totalTranslations) * 100).toFixed(1))
+            : 0;
+    }
+
     /**
      * Generate detailed processing report
      */
@@ -612,9 +717,14 @@ class TranslationProcessor {
                 totalTranslations: this.totalTranslations,
                 successfulTranslations: this.successfulTranslations,
                 failedTranslations: this.failedTranslations,
-                successRate: parseFloat(((this.successfulTranslations / this.totalTranslations) * 100).toFixed(1))
+                pendingLanguages: this.pendingTranslations.reduce((count, pending) => count + pending.languages.length, 0),
+                successRate: this.getSuccessRate()
             },
+            llmCache: this.translator.client.getCacheStats(),
             failedTranslations: this.failedLanguagesDetails,
+            budgetExhausted: this.translator.client.usage.isExhausted(),
+            pendingTranslations: this.pendingTranslations,
+            llmUsage: this.translator.client.usage.getSummary(),
             processedArticles: tasks.map(task => ({
                 title: task.title,
                 product: task.product,
@@ -671,7 +781,19 @@ class TranslationProcessor {
 
 // Command line execution
 if (require.main === module) {
-    const processor = new TranslationProcessor();
+    let client;
+    try {
+        client = new LLMClient();
+        client.getSettings('translate');
+    } catch (error) {
+        console.error('Translation processing failed:', error.message);
+        process.exit(1);
+    }
+    if (process.argv.includes('--no-cache')) {
+        client.disableCache();
+    }
+
+    const processor = new TranslationProcessor({ client });
     processor.processTranslationTasks()
         .then(result => {
             if (result.success) {
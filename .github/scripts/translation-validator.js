@@ -9,13 +9,37 @@
 
 const fs = require('fs');
 const path = require('path');
+const FrontMatter = require('./front-matter.js');
+const FrontMatterSchema = require('./front-matter-schema.js');
+const LinkChecker = require('./link-checker.js');
+const RuleRegistry = require('./rule-registry.js');
+
+// Built-in rules; severities can be overridden per rule, language and product (see rule-registry.js)
+const TRANSLATION_RULES = [
+    { id: 'translation-missing', severity: 'error', scopes: ['translation'], description: 'Every target language has a translated file' },
+    { id: 'translation-validation-failed', severity: 'error', scopes: ['translation'], description: 'The translated file could be read and parsed' },
+    { id: 'translation-gist-count', severity: 'error', scopes: ['translation'], description: 'The translation keeps every gist shortcode' },
+    { id: 'translation-code-block-count', severity: 'error', scopes: ['translation'], description: 'The translation keeps every code block' },
+    { id: 'translation-heading-count', severity: 'warning', scopes: ['translation'], description: 'The translation keeps the number of headings' },
+    { id: 'translation-front-matter-field-missing', severity: 'error', scopes: ['translation'], description: 'The translation keeps the required front matter fields' },
+    { id: 'translation-front-matter-schema', severity: 'error', scopes: ['translation'], description: 'Translated front matter matches the schema for the article type (front-matter-schema.json)' },
+    { id: 'translation-technical-field-modified', severity: 'warning', scopes: ['translation'], description: 'Technical front matter fields are not translated' },
+    { id: 'translation-gist-modified', severity: 'error', scopes: ['translation'], description: 'Gist shortcodes are kept verbatim' },
+    { id: 'translation-url-missing', severity: 'warning', scopes: ['translation'], description: 'The translation keeps every link URL' },
+    { id: 'translation-code-block-modified', severity: 'warning', scopes: ['translation'], description: 'Code blocks are kept verbatim' },
+    { id: 'translation-broken-link', severity: 'warning', scopes: ['translation'], description: 'Internal links of the translation resolve to pages in the target language' },
+    { id: 'translation-technical-term-reduced', severity: 'warning', scopes: ['translation'], description: 'Technical terms such as C#, .NET and PDF are kept' }
+];
 
 class TranslationValidator {
-    constructor() {
+    constructor(registry = null) {
         this.repoRoot = path.resolve(__dirname, '../../');
         this.validationResults = [];
         this.errorCount = 0;
         this.warningCount = 0;
+        this.registry = registry || new RuleRegistry().registerAll(TRANSLATION_RULES).loadCustomRules();
+        this.linkChecker = new LinkChecker(this.repoRoot);
+        this.schema = new FrontMatterSchema();
     }
 
     /**
@@ -59,7 +83,7 @@ class TranslationValidator {
                             task
                         );
                     } else {
-                        this.addError(`Missing translated file: ${targetPath}`, task, targetLang);
+                        this.report('translation-missing', `Missing translated file: ${targetPath}`, task, targetLang);
                     }
                 }
             }
@@ -105,9 +129,15 @@ class TranslationValidator {
             // Validate technical elements
             this.validateTechnicalElements(sourceData, targetData, task, targetLanguage);
 
+            // Validate internal links against the target language's pages
+            this.validateInternalLinks(sourceContent, targetContent, targetPath, task, targetLanguage);
+
+            // Custom rules from the rules directory
+            this.runCustomRules(sourceContent, targetContent, task, targetLanguage);
+
             console.log(`    ✓ Validation passed for ${targetLanguage}`);
         } catch (error) {
-            this.addError(`Validation failed: ${error.message}`, task, targetLanguage);
+            this.report('translation-validation-failed', `Validation failed: ${error.message}`, task, targetLanguage);
         }
     }
 
@@ -115,14 +145,12 @@ class TranslationValidator {
      * Parse markdown file into structured data
      */
     parseMarkdownFile(content) {
-        // Extract frontmatter - handle both Unix (\n) and Windows (\r\n) line endings
-        const frontMatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
-        if (!frontMatterMatch) {
+        if (!FrontMatter.hasFrontMatter(content)) {
             throw new Error('No frontmatter found');
         }
 
-        const frontMatter = frontMatterMatch[1];
-        const bodyContent = content.substring(frontMatterMatch[0].length).trim();
+        const frontMatter = FrontMatter.parse(content);
+        const bodyContent = frontMatter.body.trim();
 
         // Extract gists
         const gists = [...bodyContent.matchAll(/{{<\s*gist\s+([\w-]+)\s+([\w-]+)\s*>}}/g)];
@@ -152,7 +180,8 @@ class TranslationValidator {
     validateStructure(sourceData, targetData, task, targetLanguage) {
         // Check gist count
         if (sourceData.gists.length !== targetData.gists.length) {
-            this.addError(
+            this.report(
+                'translation-gist-count',
                 `Gist count mismatch: source=${sourceData.gists.length}, target=${targetData.gists.length}`,
                 task,
                 targetLanguage
@@ -161,7 +190,8 @@ class TranslationValidator {
 
         // Check code block count
         if (sourceData.codeBlocks.length !== targetData.codeBlocks.length) {
-            this.addError(
+            this.report(
+                'translation-code-block-count',
                 `Code block count mismatch: source=${sourceData.codeBlocks.length}, target=${targetData.codeBlocks.length}`,
                 task,
                 targetLanguage
@@ -170,7 +200,8 @@ class TranslationValidator {
 
         // Check heading count
         if (sourceData.headings.length !== targetData.headings.length) {
-            this.addWarning(
+            this.report(
+                'translation-heading-count',
                 `Heading count mismatch: source=${sourceData.headings.length}, target=${targetData.headings.length}`,
                 task,
                 targetLanguage
@@ -190,7 +221,7 @@ class TranslationValidator {
             const targetField = this.extractFrontmatterField(targetFrontmatter, field);
             
             if (sourceField && !targetField) {
-                this.addError(`Missing frontmatter field: ${field}`, task, targetLanguage);
+                this.report('translation-front-matter-field-missing', `Missing frontmatter field: ${field}`, task, targetLanguage);
             }
         }
 
@@ -202,9 +233,14 @@ class TranslationValidator {
             const targetValue = this.extractFrontmatterField(targetFrontmatter, field);
             
             if (sourceValue && targetValue && sourceValue !== targetValue) {
-                this.addWarning(`Technical field '${field}' was modified: '${sourceValue}' -> '${targetValue}'`, task, targetLanguage);
+                this.report('translation-technical-field-modified', `Technical field '${field}' was modified: '${sourceValue}' -> '${targetValue}'`, task, targetLanguage);
             }
         }
+
+        // Check the translated front matter against the schema for its type
+        for (const { message } of this.schema.validate(targetFrontmatter.data)) {
+            this.report('translation-front-matter-schema', message, task, targetLanguage);
+        }
     }
 
     /**
@@ -217,7 +253,8 @@ class TranslationValidator {
             const targetGist = targetData.gists[i];
             
             if (sourceGist.user !== targetGist.user || sourceGist.id !== targetGist.id) {
-                this.addError(
+                this.report(
+                    'translation-gist-modified',
                     `Gist modified: source='${sourceGist.full}', target='${targetGist.full}'`,
                     task,
                     targetLanguage
@@ -231,14 +268,14 @@ class TranslationValidator {
         
         for (const sourceUrl of sourceUrls) {
             if (!targetUrls.includes(sourceUrl)) {
-                this.addWarning(`URL missing in translation: ${sourceUrl}`, task, targetLanguage);
+                this.report('translation-url-missing', `URL missing in translation: ${sourceUrl}`, task, targetLanguage);
             }
         }
 
         // Check code block preservation
         for (let i = 0; i < Math.min(sourceData.codeBlocks.length, targetData.codeBlocks.length); i++) {
             if (sourceData.codeBlocks[i] !== targetData.codeBlocks[i]) {
-                this.addWarning(`Code block ${i + 1} was modified`, task, targetLanguage);
+                this.report('translation-code-block-modified', `Code block ${i + 1} was modified`, task, targetLanguage);
             }
         }
     }
@@ -266,7 +303,8 @@ class TranslationValidator {
             const targetMatches = (targetData.bodyContent.match(pattern) || []).length;
             
             if (sourceMatches > 0 && targetMatches < sourceMatches * 0.8) {
-                this.addWarning(
+                this.report(
+                    'translation-technical-term-reduced',
                     `Technical term '${pattern.source}' count significantly reduced: ${sourceMatches} -> ${targetMatches}`,
                     task,
                     targetLanguage
@@ -276,11 +314,28 @@ class TranslationValidator {
     }
 
     /**
-     * Extract frontmatter field value
+     * Check that internal links of the translation resolve (see link-checker.js)
+     * Links that are already broken in the source article are left to the source
+     */
+    validateInternalLinks(sourceContent, targetContent, targetPath, task, targetLanguage) {
+        const brokenInSource = new Set(this.linkChecker.checkContent(sourceContent, task.fullPath).map(problem => problem.target));
+
+        for (const { line, target, message } of this.linkChecker.checkContent(targetContent, targetPath)) {
+            if (!brokenInSource.has(target)) {
+                this.report('translation-broken-link', `${message} (line ${line})`, task, targetLanguage);
+            }
+        }
+    }
+
+    /**
+     * Extract frontmatter field value as a string (lists are comma-joined), or null if missing/empty
      */
     extractFrontmatterField(frontmatter, fieldName) {
-        const match = frontmatter.match(new RegExp(`^${fieldName}:\\s*"?([^"\\n]+)"?$`, 'm'));
-        return match ? match[1].replace(/"/g, '') : null;
+        const value = frontmatter.get(fieldName);
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        return Array.isArray(value) ? value.join(', ') : String(value);
     }
 
     /**
@@ -297,12 +352,48 @@ class TranslationValidator {
         );
     }
 
+    /**
+     * Run the custom `translation` rules that have a check(context, report) function
+     */
+    runCustomRules(sourceContent, targetContent, task, targetLanguage) {
+        const context = {
+            sourceContent,
+            content: targetContent,
+            language: targetLanguage,
+            product: task.product,
+            task
+        };
+
+        for (const rule of this.registry.list('translation').filter(entry => entry.check)) {
+            try {
+                rule.check(context, message => this.report(rule.id, message, task, targetLanguage));
+            } catch (error) {
+                this.report('translation-validation-failed', `Rule ${rule.id} failed: ${error.message}`, task, targetLanguage);
+            }
+        }
+    }
+
+    /**
+     * Report a finding under a rule as an error or a warning, following the severity
+     * resolved for the target language and product (nothing is recorded when the rule is off)
+     */
+    report(ruleId, message, task, targetLanguage) {
+        const severity = this.registry.resolveSeverity(ruleId, { language: targetLanguage, product: task.product });
+
+        if (severity === 'error') {
+            this.addError(message, task, targetLanguage, ruleId);
+        } else if (severity === 'warning') {
+            this.addWarning(message, task, targetLanguage, ruleId);
+        }
+    }
+
     /**
      * Add error to validation results
      */
-    addError(message, task, targetLanguage) {
+    addError(message, task, targetLanguage, rule = null) {
         this.validationResults.push({
             type: 'error',
+            rule,
             message,
             article: task.title,
             product: task.product,
@@ -316,9 +407,10 @@ class TranslationValidator {
     /**
      * Add warning to validation results
      */
-    addWarning(message, task, targetLanguage) {
+    addWarning(message, task, targetLanguage, rule = null) {
         this.validationResults.push({
             type: 'warning',
+            rule,
             message,
             article: task.title,
             product: task.product,
@@ -368,4 +460,6 @@ if (require.main === module) {
         });
 }
 
+TranslationValidator.TRANSLATION_RULES = TRANSLATION_RULES;
+
 module.exports = TranslationValidator;
\ No newline at end of file